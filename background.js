@@ -3,9 +3,10 @@
  * Handles messages from content scripts and manages IndexedDB storage
  */
 
-// Import the DB module
+// Import the tree, search, asset and part helpers, then the DB module (db.js
+// depends on all four), and the settings shared with the options page
 try {
-    importScripts('lib/db.js');
+    importScripts('lib/tree.js', 'lib/search.js', 'lib/assets.js', 'lib/parts.js', 'lib/db.js', 'lib/settings.js');
 } catch (err) {
     console.error('[ChatSaver BG] Failed to import DB module:', err);
 }
@@ -14,6 +15,14 @@ const db = globalThis.ChatSaverDB;
 if (!db) {
     console.error('[ChatSaver BG] ChatSaverDB is unavailable');
 }
+const settings = globalThis.ChatSaverSettings;
+const assets = globalThis.ChatSaverAssets;
+
+// Images and attachments that failed to download are retried on a later
+// save, but not more often than this
+const ASSET_RETRY_MS = 10 * 60 * 1000;
+const MAX_ASSET_BYTES = 25 * 1024 * 1024;
+const failedAssets = new Map(); // source key → time of the last failed fetch
 
 /**
  * Listen for messages from content scripts
@@ -45,14 +54,117 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
             return { conversation };
         },
         DELETE_CONVERSATION: async () => {
-            await db.deleteConversation(message.id);
+            const trashed = await db.trashConversations([message.id]);
+            await purgeExpiredTrash();
+            await updateBadge();
+            return { trashed };
+        },
+        DELETE_CONVERSATIONS: async () => {
+            const trashed = await db.trashConversations(message.ids || []);
+            await purgeExpiredTrash();
+            await updateBadge();
+            return { trashed };
+        },
+        GET_TRASH: async () => {
+            await purgeExpiredTrash();
+            const trash = await db.getTrash();
+            const retentionDays = await settings.getTrashRetentionDays();
+            return { trash, retentionDays };
+        },
+        RESTORE_CONVERSATIONS: async () => {
+            const conversations = await db.restoreConversations(message.ids || []);
+            await updateBadge();
+            return { conversations };
+        },
+        PURGE_CONVERSATIONS: async () => {
+            await db.deleteConversations(message.ids || []);
+            await pruneUnusedAssets();
+            await updateBadge();
+            return {};
+        },
+        EMPTY_TRASH: async () => {
+            const purged = await db.purgeTrash();
+            await pruneUnusedAssets();
+            return { purged };
+        },
+        SET_TRASH_RETENTION: async () => {
+            const days = message.days;
+            if (!Number.isInteger(days) || days < 0) throw new Error('Invalid retention period');
+            await chrome.storage.local.set({ [settings.TRASH_RETENTION_KEY]: days });
+            await purgeExpiredTrash();
+            return { retentionDays: days };
+        },
+        IGNORE_CONVERSATIONS: async () => {
+            const ignored = await db.ignoreConversations(message.ids || []);
+            await pruneUnusedAssets();
             await updateBadge();
+            return { ignored };
+        },
+        GET_IGNORED: async () => {
+            const ignored = await db.getIgnored();
+            return { ignored };
+        },
+        UNIGNORE_CONVERSATIONS: async () => {
+            await db.unignoreConversations(message.ids || []);
             return {};
         },
         SEARCH_CONVERSATIONS: async () => {
-            const conversations = await db.searchConversations(message.query || '');
+            const results = await db.searchConversations(message.query || '');
+            return { results };
+        },
+        CLEAR_CONFLICT: async () => {
+            const conversation = await db.clearConflict(message.id);
+            return { conversation };
+        },
+        UPDATE_CONVERSATIONS: async () => {
+            const conversations = await db.updateConversations(message.ids || [], message.changes || {});
             return { conversations };
         },
+        RENAME_CONVERSATION: async () => {
+            const conversation = await db.setUserTitle(message.id, message.title);
+            return { conversation };
+        },
+        GET_FOLDERS: async () => {
+            const folders = await db.getFolders();
+            return { folders };
+        },
+        SAVE_FOLDER: async () => {
+            const folder = await db.saveFolder(message.folder);
+            return { folder };
+        },
+        DELETE_FOLDER: async () => {
+            await db.deleteFolder(message.id);
+            return {};
+        },
+        GET_ANNOTATIONS: async () => {
+            const annotations = await db.getAnnotations(message.conversationId);
+            return { annotations };
+        },
+        SAVE_ANNOTATION: async () => {
+            const annotation = await db.saveAnnotation(message.annotation);
+            return { annotation };
+        },
+        DELETE_ANNOTATION: async () => {
+            await db.deleteAnnotation(message.id);
+            return {};
+        },
+        IMPORT_ARCHIVE: async () => {
+            const report = await db.importArchive(message.archive);
+            await updateBadge();
+            return { report };
+        },
+        GET_REVISIONS: async () => {
+            const revisions = await db.getRevisions(message.conversationId);
+            return { revisions };
+        },
+        GET_REVISION: async () => {
+            const revision = await db.getRevision(message.id);
+            return { revision };
+        },
+        RESTORE_REVISION: async () => {
+            const conversation = await db.restoreRevision(message.id);
+            return { conversation };
+        },
     };
 
     const handler = handlers[message.type];
@@ -76,7 +188,133 @@ async function handleSaveConversation(conversation) {
         throw new Error('Invalid conversation data');
     }
 
-    return db.saveConversation(conversation);
+    return db.saveConversation(await archiveAssets(conversation));
+}
+
+/**
+ * Store the images a conversation shows and the files attached to it or
+ * generated in it, and point its messages at the stored copies (see
+ * lib/assets.js). Assets stored before are found by source, so a save only
+ * downloads new ones; one that cannot be downloaded keeps its URL for now.
+ */
+async function archiveAssets(conversation) {
+    const { files, images } = assets.collectFileUrls(conversation);
+    images.push(...assets.collectImageUrls(conversation));
+    if (images.length + files.length === 0) return conversation;
+
+    const assetIds = new Map([
+        ...await storeAssets(Array.from(new Set(images)), true),
+        ...await storeAssets(files, false),
+    ]);
+    return assets.rewriteFileRefs(assets.rewriteImageRefs(conversation, assetIds), assetIds);
+}
+
+/**
+ * Asset ids for some URLs, downloading the ones not stored yet
+ * @param {boolean} imagesOnly - refuse anything that is not an image
+ * @returns {Promise<Map<string, string>>} URL → asset id, for those that worked
+ */
+async function storeAssets(urls, imagesOnly) {
+    const keys = new Map(urls.map((url) => [url, assets.getAssetSourceKey(url)]));
+    const stored = await db.findAssets(Array.from(new Set(keys.values())));
+    const assetIds = new Map();
+
+    for (const url of urls) {
+        const id = stored.get(keys.get(url)) || await fetchAsset(url, keys.get(url), imagesOnly);
+        if (id) assetIds.set(url, id);
+    }
+    return assetIds;
+}
+
+/**
+ * Download an image or file into the assets store
+ * @returns {Promise<string|null>} its asset id, or null when it failed
+ */
+async function fetchAsset(url, sourceKey, imagesOnly) {
+    const failedAt = failedAssets.get(sourceKey);
+    if (failedAt && Date.now() - failedAt < ASSET_RETRY_MS) return null;
+
+    try {
+        // With the site's cookies: some image endpoints need the session
+        const response = await fetch(url, { credentials: 'include' });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+        const type = (response.headers.get('content-type') || '').toLowerCase();
+        if (imagesOnly && !type.startsWith('image/')) throw new Error(`not an image (${type || 'no type'})`);
+        // A login or error page instead of the file
+        if (type.startsWith('text/html')) throw new Error('got a web page instead of the file');
+
+        const blob = await readLimitedBody(response, type);
+        const id = await db.saveAsset(blob, sourceKey);
+        failedAssets.delete(sourceKey);
+        return id;
+    } catch (err) {
+        failedAssets.set(sourceKey, Date.now());
+        console.warn(`[ChatSaver BG] Could not archive ${sourceKey}:`, err.message || err);
+        return null;
+    }
+}
+
+/**
+ * A response's body as a blob, refused as soon as it is known to pass
+ * MAX_ASSET_BYTES: from Content-Length when the server sends it, else
+ * while reading, so an oversized download is never held in memory whole
+ */
+async function readLimitedBody(response, type) {
+    const length = Number(response.headers.get('content-length'));
+    if (length > MAX_ASSET_BYTES) {
+        if (response.body) response.body.cancel().catch(() => {});
+        throw new Error(`too large (${length} bytes)`);
+    }
+    if (!response.body) return new Blob([], { type });
+
+    const reader = response.body.getReader();
+    const chunks = [];
+    let size = 0;
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        size += value.byteLength;
+        if (size > MAX_ASSET_BYTES) {
+            reader.cancel().catch(() => {});
+            throw new Error(`too large (over ${MAX_ASSET_BYTES} bytes)`);
+        }
+        chunks.push(value);
+    }
+    return new Blob(chunks, { type });
+}
+
+/**
+ * Delete stored images and files no saved chat uses any more
+ */
+async function pruneUnusedAssets() {
+    try {
+        const pruned = await db.pruneAssets();
+        if (pruned > 0) console.log(`[ChatSaver BG] Deleted ${pruned} unused image(s)`);
+    } catch (err) {
+        console.error('[ChatSaver BG] Image cleanup error:', err);
+    }
+}
+
+/**
+ * Purge trash entries older than the retention period
+ */
+async function purgeExpiredTrash() {
+    if (!db) return;
+
+    try {
+        const days = await settings.getTrashRetentionDays();
+        if (days === 0) return;
+
+        const before = new Date(Date.now() - days * 86400000).toISOString();
+        const purged = await db.purgeTrash(before);
+        if (purged > 0) {
+            console.log(`[ChatSaver BG] Purged ${purged} conversation(s) from the trash`);
+            await pruneUnusedAssets();
+        }
+    } catch (err) {
+        console.error('[ChatSaver BG] Trash purge error:', err);
+    }
 }
 
 /**
@@ -98,13 +336,13 @@ async function updateBadge() {
 }
 
 /**
- * On install/startup, update the badge
+ * On install/startup, purge expired trash and update the badge
  */
 chrome.runtime.onInstalled.addListener(() => {
     console.log('[ChatSaver] Extension installed');
-    updateBadge();
+    purgeExpiredTrash().then(updateBadge);
 });
 
 chrome.runtime.onStartup.addListener(() => {
-    updateBadge();
+    purgeExpiredTrash().then(updateBadge);
 });
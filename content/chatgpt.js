@@ -44,11 +44,35 @@
         ],
     };
 
+    // One uploaded file or image on a user turn (see extractAttachments)
+    const ATTACHMENT_SELECTOR = [
+        '[data-testid*="attachment"]',
+        '[data-testid*="file-tile"]',
+        '[data-testid*="file-thumbnail"]',
+        'a[download]',
+        'img[alt="Uploaded image"]',
+    ].join(', ');
+
+    // Tool results shown beside the answer text rather than in `.markdown`
+    // (see getMessageParts). Their markup is undocumented and changes often;
+    // these match test ids and the stable parts of class names.
+    const PART_SELECTORS = {
+        analysis: '[data-testid*="code-interpreter"], [data-testid*="analysis"], [class*="code-interpreter"]',
+        canvasCard: '[data-testid*="canvas"], [data-testid*="textdoc"]',
+        canvasBody: '.ProseMirror, .cm-content',
+        file: '[data-testid*="file-tile"], a[download], a[href*="/backend-api/files/"]',
+    };
+
     let indicator = null;
     let currentConvId = null;
     let observer = null;
     let urlCheckInterval = null;
     let periodicSaveInterval = null;
+    let settings = ChatSaverSettings.DEFAULT_SETTINGS;
+    let captureMode = 'auto';
+    // Chats the archive would not save (deleted to the trash or ignored)
+    const skippedIds = ChatSaverCommon.createSkipList();
+    const messageTracker = ChatSaverCommon.createMessageTracker();
 
     function findElement(selectors, parent = document) {
         for (const sel of selectors) {
@@ -110,6 +134,58 @@
         return null;
     }
 
+    /**
+     * Read an attribute from the message element, or from the nearest
+     * element that carries it (ancestor first, then descendant).
+     */
+    function getMessageAttribute(msgEl, name) {
+        const direct = msgEl.getAttribute(name);
+        if (direct) return direct;
+
+        const carrier = msgEl.closest(`[${name}]`) || msgEl.querySelector(`[${name}]`);
+        return carrier ? carrier.getAttribute(name) : null;
+    }
+
+    /**
+     * Stable per-message id from data-message-id
+     */
+    function getMessageId(msgEl) {
+        return getMessageAttribute(msgEl, 'data-message-id');
+    }
+
+    /**
+     * Model slug (e.g. "gpt-4o") where the DOM exposes it on assistant turns
+     */
+    function getModelSlug(msgEl) {
+        return getMessageAttribute(msgEl, 'data-message-model-slug');
+    }
+
+    /**
+     * Read the branch navigator ("< 2/3 >") shown under a turn whose prompt
+     * was edited or whose answer was regenerated.
+     * Returns { index, count } (1-based index) or null when there is none.
+     */
+    function getVariantInfo(msgEl) {
+        const turn =
+            msgEl.closest('[data-testid^="conversation-turn"]') ||
+            msgEl.closest('article') ||
+            msgEl;
+
+        const prevBtn = turn.querySelector('button[aria-label*="previous" i]');
+        const scopes = prevBtn && prevBtn.parentElement ? [prevBtn.parentElement] : [];
+        scopes.push(...turn.querySelectorAll('.tabular-nums'));
+
+        for (const scope of scopes) {
+            const match = (scope.textContent || '').match(/(\d+)\s*\/\s*(\d+)/);
+            if (!match) continue;
+            const index = parseInt(match[1], 10);
+            const count = parseInt(match[2], 10);
+            if (count > 1 && index >= 1 && index <= count) return { index, count };
+        }
+
+        return null;
+    }
+
     /**
      * Extract both markdown text AND sanitized HTML from a message element.
      * Returns { text: string, html: string }
@@ -118,103 +194,224 @@
         const contentEl = findElement(SELECTORS.contentSelectors, msgEl);
         const target = contentEl || msgEl;
 
-        // Clone and strip non-content elements
+        // Clone and strip non-content elements (equations become their TeX first)
         const clone = target.cloneNode(true);
+        ChatSaverCommon.replaceMath(clone);
         clone.querySelectorAll(
-            'button, nav, .sr-only, svg, [aria-hidden="true"], script, style, .katex-html'
+            'button, nav, .sr-only, svg, [aria-hidden="true"], script, style, .katex-html, ' + ATTACHMENT_SELECTOR +
+            ', ' + PART_SELECTORS.analysis + ', ' + PART_SELECTORS.canvasCard
         ).forEach((el) => el.remove());
 
         // Get markdown (for export / search / fallback)
         const text = ChatSaverCommon.extractTextContent(clone).trim();
 
         // Get sanitized HTML (for rendering — preserves structure perfectly)
-        const html = sanitizeHTML(clone.innerHTML);
+        const html = ChatSaverCommon.sanitizeHTML(clone.innerHTML);
 
         return { text, html };
     }
 
     /**
-     * Sanitize HTML: keep only safe tags and attributes.
-     * This strips ChatGPT's Tailwind classes and keeps structural elements.
+     * Files and images uploaded with a user turn. The chips sit in the turn
+     * next to the text bubble, so the whole turn is searched.
      */
-    function sanitizeHTML(rawHtml) {
-        const temp = document.createElement('div');
-        temp.innerHTML = rawHtml;
-
-        const ALLOWED_TAGS = new Set([
-            'p', 'br', 'strong', 'b', 'em', 'i', 'u', 'a',
-            'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
-            'ul', 'ol', 'li',
-            'pre', 'code', 'blockquote',
-            'table', 'thead', 'tbody', 'tr', 'th', 'td',
-            'hr', 'img', 'span', 'div', 'sup', 'sub',
-        ]);
-
-        const ALLOWED_ATTRS = new Set(['href', 'src', 'alt', 'class', 'target', 'rel']);
-
-        function cleanNode(node) {
-            const children = Array.from(node.childNodes);
-            for (const child of children) {
-                if (child.nodeType === Node.ELEMENT_NODE) {
-                    const tag = child.tagName.toLowerCase();
-                    if (!ALLOWED_TAGS.has(tag)) {
-                        // Replace disallowed tag with its children
-                        while (child.firstChild) {
-                            node.insertBefore(child.firstChild, child);
-                        }
-                        node.removeChild(child);
-                        continue;
-                    }
+    function getAttachments(msgEl) {
+        const turn = msgEl.closest('[data-testid^="conversation-turn"]') || msgEl;
+        return ChatSaverCommon.extractAttachments([turn], ATTACHMENT_SELECTOR);
+    }
 
-                    // Strip all attributes except allowed ones
-                    const attrs = Array.from(child.attributes);
-                    for (const attr of attrs) {
-                        if (!ALLOWED_ATTRS.has(attr.name)) {
-                            child.removeAttribute(attr.name);
-                        }
-                    }
+    /**
+     * Tool results shown with an assistant message outside its text, as
+     * typed parts (see lib/parts.js): code
+     * interpreter ("Analysis") code and output, the charts and files it
+     * made, and canvas documents. Only what the page has rendered can be
+     * read: a collapsed Analysis block has no code in the DOM.
+     *
+     * @param {Object|null} openCanvas - see getOpenCanvas
+     */
+    function getMessageParts(msgEl, openCanvas) {
+        const scope = msgEl.closest('[data-testid^="conversation-turn"]') || msgEl;
+        const contentEl = findElement(SELECTORS.contentSelectors, msgEl);
+        const authors = Array.from(scope.querySelectorAll('[data-message-author-role]'));
+        const lastAuthor = authors[authors.length - 1];
+
+        const belongsHere = (el) => {
+            if (el.closest('.markdown') || (contentEl && contentEl.contains(el))) return false;
+            const owner = el.closest('[data-message-author-role]');
+            if (owner) return owner === msgEl || msgEl.contains(owner) || owner.contains(msgEl);
+            // Outside every message of the turn: it goes with the last one
+            return !lastAuthor || lastAuthor === msgEl || msgEl.contains(lastAuthor) || lastAuthor.contains(msgEl);
+        };
 
-                    // For code elements, only keep language class
-                    if (tag === 'code') {
-                        const langClass = child.className.match(/language-\S+/)?.[0];
-                        if (langClass) {
-                            child.className = langClass;
-                        } else {
-                            child.removeAttribute('class');
-                        }
-                    } else {
-                        child.removeAttribute('class');
-                    }
+        const selector = [PART_SELECTORS.analysis, PART_SELECTORS.canvasCard, PART_SELECTORS.file, 'img'].join(', ');
+        let found = [];
+        try {
+            found = Array.from(scope.querySelectorAll(selector)).filter(belongsHere);
+        } catch (err) {
+            return [];
+        }
+        const blocks = found.filter((el) => !found.some((other) => other !== el && other.contains(el)));
+
+        const parts = [];
+        blocks.forEach((el) => {
+            if (el.matches(PART_SELECTORS.analysis)) {
+                parts.push(...readAnalysisBlock(el));
+            } else if (el.matches(PART_SELECTORS.canvasCard)) {
+                parts.push(readCanvasCard(el, openCanvas));
+            } else if (el.matches(PART_SELECTORS.file)) {
+                ChatSaverCommon.extractAttachments([el], PART_SELECTORS.file).forEach((file) => {
+                    const part = { type: 'file', name: file.name, kind: file.type };
+                    if (file.size) part.size = file.size;
+                    if (file.url) part.url = file.url;
+                    parts.push(part);
+                });
+            } else if (contentEl) {
+                // Without a text element the images are part of the text already
+                const image = readImagePart(el);
+                if (image) parts.push(image);
+            }
+        });
+
+        return parts;
+    }
 
-                    cleanNode(child);
+    /**
+     * An Analysis block: its first code block is the code that ran, the
+     * later ones are what it printed, and its images are the charts it drew
+     */
+    function readAnalysisBlock(block) {
+        const header = block.querySelector('button, summary, [role="button"]');
+        const label = header ? header.textContent.trim() : '';
+        const title = label && label.length < 40 ? label : 'Analysis';
+
+        const codeEls = Array.from(block.querySelectorAll('pre, .cm-content'));
+        const parts = [];
+        codeEls
+            .filter((el) => !codeEls.some((other) => other !== el && other.contains(el)))
+            .forEach((el, i) => {
+                const text = ChatSaverCommon.extractCodeText(el);
+                if (!text) return;
+                if (i === 0) {
+                    const codeEl = el.querySelector('code');
+                    const language = codeEl && (codeEl.className.match(/language-([\w+#-]+)/) || [])[1];
+                    parts.push({ type: 'code', title, language: language || 'python', text });
+                } else {
+                    parts.push({ type: 'output', title: 'Output', text });
                 }
-            }
+            });
+
+        block.querySelectorAll('img').forEach((img) => {
+            const image = readImagePart(img);
+            if (image) parts.push(image);
+        });
+        return parts;
+    }
+
+    /**
+     * A canvas card in the chat. The card only previews the document (the
+     * part is marked `preview`, and the archive keeps a whole document it
+     * already has); when the canvas panel shows it (the latest card with
+     * the panel's title), the whole document is read from the panel instead.
+     */
+    function readCanvasCard(card, openCanvas) {
+        const heading = card.querySelector('h1, h2, h3, h4, [class*="title" i]');
+        const title = (heading ? heading.textContent : card.getAttribute('aria-label') || '').trim() || 'Canvas';
+
+        if (openCanvas && openCanvas.card === card) {
+            const part = { type: 'document', title, format: openCanvas.format, text: openCanvas.text };
+            if (openCanvas.html) part.html = openCanvas.html;
+            return part;
+        }
+
+        const body = card.querySelector(PART_SELECTORS.canvasBody);
+        if (body && body.matches('.cm-content')) {
+            return { type: 'document', title, format: 'code', text: ChatSaverCommon.extractCodeText(body), preview: true };
         }
 
-        cleanNode(temp);
-        return temp.innerHTML.trim();
+        const clone = (body || card).cloneNode(true);
+        if (!body && heading) {
+            const cloneHeading = clone.querySelector('h1, h2, h3, h4, [class*="title" i]');
+            if (cloneHeading) cloneHeading.remove();
+        }
+        ChatSaverCommon.replaceMath(clone);
+        clone.querySelectorAll('button, svg, [aria-hidden="true"], .katex-html').forEach((el) => el.remove());
+        return {
+            type: 'document',
+            title,
+            format: 'markdown',
+            text: ChatSaverCommon.extractTextContent(clone).trim(),
+            html: ChatSaverCommon.sanitizeHTML(clone.innerHTML),
+            preview: true,
+        };
     }
 
-    function getConversationTitle() {
-        // 1. Try the active sidebar conversation link (most reliable)
-        const sidebarSelectors = [
-            'nav [aria-current="page"]',
-            'nav a[class*="bg-token-sidebar"]',
-            'nav li[class*="bg-token"] a',
-            'nav a.bg-token-sidebar-surface-secondary',
-            'nav [data-testid*="conversation"] a',
-        ];
+    /**
+     * The document the canvas panel beside the chat shows, with the card in
+     * the chat it belongs to, or null when no canvas is open
+     * @returns {{ card: Element, title: string, format: 'markdown'|'code', text: string, html?: string }|null}
+     */
+    function getOpenCanvas() {
+        const body = Array.from(document.querySelectorAll(PART_SELECTORS.canvasBody)).find((el) =>
+            el.id !== 'prompt-textarea' && !el.closest('form, [data-testid^="conversation-turn"]')
+        );
+        if (!body) return null;
+
+        const panel = body.closest('section, aside, [role="dialog"], [data-testid*="canvas"]') || body.parentElement;
+        const heading = Array.from(panel.querySelectorAll('h1, h2, h3, [data-testid*="title"]'))
+            .find((el) => !body.contains(el));
+        const title = heading ? heading.textContent.trim() : '';
+
+        const cards = Array.from(document.querySelectorAll(
+            PART_SELECTORS.canvasCard.split(', ').map((sel) => `[data-testid^="conversation-turn"] ${sel}`).join(', ')
+        )).filter((card) => !title || card.textContent.includes(title));
+        if (cards.length === 0) return null;
+
+        const canvas = { card: cards[cards.length - 1], title };
+        if (body.matches('.cm-content')) {
+            canvas.format = 'code';
+            canvas.text = ChatSaverCommon.extractCodeText(body);
+        } else {
+            canvas.format = 'markdown';
+            const clone = body.cloneNode(true);
+            ChatSaverCommon.replaceMath(clone);
+            clone.querySelectorAll('[aria-hidden="true"], .katex-html').forEach((el) => el.remove());
+            canvas.text = ChatSaverCommon.extractTextContent(clone).trim();
+            canvas.html = ChatSaverCommon.sanitizeHTML(clone.innerHTML);
+        }
+        return canvas;
+    }
 
-        for (const sel of sidebarSelectors) {
+    function readImagePart(img) {
+        if (img.closest('[class*="avatar" i]')) return null;
+        const width = parseInt(img.getAttribute('width'), 10);
+        if (width && width < 48) return null; // icons
+
+        const url = ChatSaverCommon.toFetchableUrl(img.getAttribute('src'));
+        return url ? { type: 'image', url, alt: img.getAttribute('alt') || 'image' } : null;
+    }
+
+    /**
+     * Title of the open chat, and how sure we are of it: 'high' for the
+     * sidebar entry marked current, 'low' for guesses from the page title,
+     * other sidebar links or a heading, 'none' for the placeholder. The
+     * archive only lets a title replace a stored one it is at least as
+     * sure of.
+     * Returns { title, confidence }
+     */
+    function getConversationTitle() {
+        const readTitle = (selector) => {
             try {
-                const el = document.querySelector(sel);
-                if (!el) continue;
-                const text = (el.textContent || '').trim();
-                if (text && text.length > 1 && text !== 'ChatGPT') {
-                    return text.substring(0, 200);
-                }
-            } catch (err) { /* skip */ }
-        }
+                const el = document.querySelector(selector);
+                const text = el ? (el.textContent || '').trim() : '';
+                return text && text.length > 1 && text !== 'ChatGPT' ? text.substring(0, 200) : '';
+            } catch (err) {
+                return '';
+            }
+        };
+
+        // 1. The sidebar entry of the open chat (most reliable)
+        const current = readTitle('nav [aria-current="page"]');
+        if (current) return { title: current, confidence: 'high' };
 
         // 2. Try the page <title> tag — strip "ChatGPT - " prefix
         try {
@@ -223,20 +420,33 @@
                 .replace(/^ChatGPT\s*[-–—]\s*/i, '')
                 .trim();
             if (cleaned && cleaned !== 'ChatGPT' && cleaned.length > 1) {
-                return cleaned.substring(0, 200);
+                return { title: cleaned.substring(0, 200), confidence: 'low' };
             }
         } catch (err) { /* skip */ }
 
-        // 3. Try any h1 on the page
+        // 3. Highlighted sidebar links; these can match another chat in the
+        //    list, so they are guesses too
+        const sidebarSelectors = [
+            'nav a[class*="bg-token-sidebar"]',
+            'nav li[class*="bg-token"] a',
+            'nav a.bg-token-sidebar-surface-secondary',
+            'nav [data-testid*="conversation"] a',
+        ];
+        for (const sel of sidebarSelectors) {
+            const text = readTitle(sel);
+            if (text) return { title: text, confidence: 'low' };
+        }
+
+        // 4. Try any h1 on the page
         try {
             const h1 = document.querySelector('main h1, header h1');
             if (h1) {
                 const text = (h1.textContent || '').trim();
-                if (text && text !== 'ChatGPT') return text.substring(0, 200);
+                if (text && text !== 'ChatGPT') return { title: text.substring(0, 200), confidence: 'low' };
             }
         } catch (err) { /* skip */ }
 
-        return 'Untitled Chat';
+        return { title: 'Untitled Chat', confidence: 'none' };
     }
 
     function scrapeConversation() {
@@ -246,42 +456,117 @@
         if (messageEls.length === 0) return null;
 
         const messages = [];
+        const seenIds = new Set();
         let lastRole = null;
+        const openCanvas = getOpenCanvas();
 
         messageEls.forEach((msgEl, index) => {
             let role = getMessageRole(msgEl);
             if (!role) role = lastRole === 'user' ? 'assistant' : 'user';
 
-            const result = getMessageContent(msgEl);
-            if (!result || !result.text) return;
+            const messageId = getMessageId(msgEl);
+            // Several selectors can resolve to the same turn; keep the first
+            if (messageId && seenIds.has(messageId)) return;
 
-            messages.push({
+            const result = getMessageContent(msgEl);
+            const attachments = role === 'user' ? getAttachments(msgEl) : [];
+            const parts = role === 'assistant' ? getMessageParts(msgEl, openCanvas) : [];
+            // A turn can be just an upload, or just tool output, with no text
+            if (!result || (!result.text && attachments.length === 0 && parts.length === 0)) return;
+
+            // Parts are shown from `parts`, but their markdown is part of the
+            // content, so search, export and capture rules see them
+            const content = [result.text, ChatSaverParts.partsToMarkdown(parts)].filter(Boolean).join('\n\n');
+            const message = {
                 role,
-                content: result.text,        // markdown (for search / export)
+                content,                      // markdown (for search / export)
                 contentHtml: result.html,     // sanitized HTML (for rendering)
                 index,
-            });
+                textVersion: ChatSaverCommon.TEXT_VERSION,
+            };
+            if (attachments.length > 0) message.attachments = attachments;
+            if (parts.length > 0) message.parts = parts;
+
+            if (messageId) {
+                message.id = messageId;
+                seenIds.add(messageId);
+            }
+
+            const model = role === 'assistant' ? getModelSlug(msgEl) : null;
+            if (model) message.model = model;
+
+            // Which of the sibling variants the page is showing; the archive
+            // keeps the others as branches as each one is seen
+            const variants = getVariantInfo(msgEl);
+            if (variants) message.variants = variants;
+
+            Object.assign(message, messageTracker.stamp(messageId || role + ':' + index, content));
+
+            messages.push(message);
             lastRole = role;
         });
 
         if (messages.length === 0) return null;
 
+        const { title, confidence } = getConversationTitle();
         return {
             id: ChatSaverCommon.generateId('chatgpt', window.location.href),
             source: 'chatgpt',
-            title: getConversationTitle(),
+            title,
+            titleConfidence: confidence,
             url: window.location.href,
             messages,
         };
     }
 
+    /**
+     * Custom GPT or project the open chat belongs to, for capture rules.
+     * Both live under /g/: projects as g-p-<id>-<name>, GPTs as g-<id>-<name>.
+     */
+    function getCaptureContext() {
+        const match = window.location.pathname.match(/\/g\/(g-[^/]+)/);
+        if (!match) return {};
+
+        const slug = decodeURIComponent(match[1]);
+        if (slug.startsWith('g-p-')) {
+            return { project: slug.replace(/^g-p-[a-z0-9]+-?/i, '') || slug };
+        }
+        return { gpt: slug };
+    }
+
     function saveCurrentConversation() {
         const conversation = scrapeConversation();
         if (!conversation || conversation.messages.length === 0) return;
+        if (skippedIds.has(conversation.id)) return;
 
-        ChatSaverCommon.sendToBackground('SAVE_CONVERSATION', { conversation })
-            .then(() => {
-                if (indicator) indicator.flash();
+        const captured = ChatSaverCommon.applyCaptureRules(conversation, settings.rules, getCaptureContext());
+        if (captured.excluded) {
+            if (indicator) indicator.setExcluded(captured.excluded);
+            return;
+        }
+        if (captured.redacted > 0) console.log(`[ChatSaver] Redacted ${captured.redacted} match(es) before saving`);
+
+        ChatSaverCommon.sendToBackground('SAVE_CONVERSATION', { conversation: captured.conversation })
+            .then((response) => {
+                const skipped = response.result && response.result.skipped;
+                if (skipped) {
+                    skippedIds.add(conversation.id);
+                    if (indicator) indicator.setInactive(ChatSaverCommon.describeSkippedSave(skipped));
+                    console.log(`[ChatSaver] Not saving ChatGPT conversation "${conversation.title}": ${skipped}`);
+                    return;
+                }
+
+                if (indicator) {
+                    // Clears the excluded look once the rules allow this chat again
+                    indicator.setActive();
+                    indicator.flash();
+                }
+                const merge = response.result && response.result.merge;
+                if (merge && merge.conflict) {
+                    console.warn(
+                        `[ChatSaver] Page diverged from the archived ChatGPT conversation; ${merge.replaced} stored msgs kept as a branch`
+                    );
+                }
                 console.log(
                     `[ChatSaver] Saved ChatGPT conversation: "${conversation.title}" (${conversation.messages.length} msgs)`
                 );
@@ -291,7 +576,7 @@
             });
     }
 
-    const debouncedSave = ChatSaverCommon.debounce(saveCurrentConversation, 1800);
+    let debouncedSave = ChatSaverCommon.debounce(saveCurrentConversation, ChatSaverSettings.DEFAULT_SETTINGS.saveDelayMs);
 
     function startObserving() {
         if (observer) observer.disconnect();
@@ -329,18 +614,26 @@
         if (newId === currentConvId) return;
 
         currentConvId = newId;
-        setTimeout(saveCurrentConversation, 2200);
+        messageTracker.reset();
+        if (indicator && !skippedIds.has(newId)) indicator.setActive();
+        setTimeout(autoSave, settings.firstSaveDelayMs);
     }
 
-    function init() {
-        // Pass the save function to enable manual click-to-save
-        indicator = ChatSaverCommon.createSaveIndicator({
+    function createIndicator() {
+        return ChatSaverCommon.createSaveIndicator({
             onClick: () => {
                 const conversation = scrapeConversation();
                 if (!conversation || conversation.messages.length === 0) return false;
 
-                return ChatSaverCommon.sendToBackground('SAVE_CONVERSATION', { conversation })
-                    .then(() => {
+                const captured = ChatSaverCommon.applyCaptureRules(conversation, settings.rules, getCaptureContext());
+                if (captured.excluded) return `Not saved (${captured.excluded})`;
+
+                return ChatSaverCommon.sendToBackground('SAVE_CONVERSATION', { conversation: captured.conversation })
+                    .then((response) => {
+                        const skipped = response.result && response.result.skipped;
+                        if (skipped) return ChatSaverCommon.describeSkippedSave(skipped);
+                        // Restored from the trash or unignored since: save again
+                        skippedIds.delete(conversation.id);
                         console.log(`[ChatSaver] Manual save: "${conversation.title}" (${conversation.messages.length} msgs)`);
                         return true;
                     })
@@ -350,19 +643,66 @@
                     });
             }
         });
+    }
+
+    /**
+     * Save unless capture on this site is manual-only or off
+     */
+    function autoSave() {
+        if (captureMode === 'auto') saveCurrentConversation();
+    }
+
+    /**
+     * (Re)start capture for new settings: the indicator dot, observer and
+     * timers follow the capture mode of this site
+     */
+    function applySettings(next) {
+        settings = next;
+        captureMode = ChatSaverSettings.getCaptureMode(settings, 'chatgpt');
+
+        clearInterval(urlCheckInterval);
+        clearInterval(periodicSaveInterval);
+        periodicSaveInterval = null;
+        if (observer) observer.disconnect();
+
+        if (captureMode === 'off') {
+            urlCheckInterval = null;
+            if (indicator) indicator.remove();
+            indicator = null;
+            return;
+        }
+
+        // Pass the save function to enable manual click-to-save
+        if (!indicator) indicator = createIndicator();
+        urlCheckInterval = setInterval(checkUrlChange, settings.urlPollMs);
+        if (captureMode !== 'auto') return;
+
+        debouncedSave = ChatSaverCommon.debounce(saveCurrentConversation, settings.saveDelayMs);
         startObserving();
+        if (settings.periodicSaveMs > 0) {
+            periodicSaveInterval = setInterval(saveCurrentConversation, settings.periodicSaveMs);
+        }
+    }
 
+    async function init() {
         currentConvId = ChatSaverCommon.generateId('chatgpt', window.location.href);
-        urlCheckInterval = setInterval(checkUrlChange, 2000);
-        periodicSaveInterval = setInterval(saveCurrentConversation, 15000);
 
-        setTimeout(saveCurrentConversation, 2600);
-        window.addEventListener('beforeunload', saveCurrentConversation);
+        let initial = ChatSaverSettings.DEFAULT_SETTINGS;
+        try {
+            initial = await ChatSaverSettings.getSettings();
+        } catch (err) {
+            console.warn('[ChatSaver] Could not read settings, using defaults:', err);
+        }
+        applySettings(initial);
+        ChatSaverSettings.onSettingsChanged(applySettings);
+
+        setTimeout(autoSave, settings.firstSaveDelayMs);
+        window.addEventListener('beforeunload', autoSave);
         document.addEventListener('visibilitychange', () => {
-            if (document.visibilityState === 'hidden') saveCurrentConversation();
+            if (document.visibilityState === 'hidden') autoSave();
         });
 
-        console.log('[ChatSaver] ChatGPT auto-saver initialized');
+        console.log(`[ChatSaver] ChatGPT saver initialized (${captureMode})`);
     }
 
     if (document.readyState === 'loading') {
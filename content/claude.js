@@ -16,6 +16,14 @@
     let observer = null;
     let urlCheckInterval = null;
     let periodicSaveInterval = null;
+    let settings = ChatSaverSettings.DEFAULT_SETTINGS;
+    let captureMode = 'auto';
+    // Chats the archive would not save (deleted to the trash or ignored)
+    const skippedIds = ChatSaverCommon.createSkipList();
+    const messageTracker = ChatSaverCommon.createMessageTracker();
+
+    // User and assistant turns
+    const TURN_SELECTOR = '[data-testid="user-human-turn"], [data-testid="user-turn"]';
 
     function isConversationPage() {
         const path = window.location.pathname || '';
@@ -32,9 +40,7 @@
      */
     function getMessageElements() {
         // Strategy 1: Combined selector for both human and assistant turns
-        const combined = document.querySelectorAll(
-            '[data-testid="user-human-turn"], [data-testid="user-turn"]'
-        );
+        const combined = document.querySelectorAll(TURN_SELECTOR);
         if (combined.length > 0) {
             console.log(`[ChatSaver] Strategy 1: found ${combined.length} turn elements`);
             return Array.from(combined);
@@ -119,44 +125,270 @@
         return null;
     }
 
+    const CONTENT_SELECTORS = [
+        '.font-claude-message',
+        '[class*="markdown"]',
+        '[class*="Markdown"]',
+        '.prose',
+        '.whitespace-pre-wrap',
+        'div[class*="message-content"]',
+        'div[class*="messageContent"]',
+    ];
+
+    // One uploaded file, pasted text or image on a user turn (see
+    // extractAttachments); uploaded images are served from .../files/<id>/...
+    const ATTACHMENT_SELECTOR = [
+        '[data-testid="file-thumbnail"]',
+        '[data-testid*="attachment"]',
+        'a[download]',
+        'img[src*="/files/"]',
+    ].join(', ');
+
+    // Blocks of an assistant turn that are not answer text (see
+    // getMessageParts). claude.ai's markup is undocumented; these match test
+    // ids and the stable parts of class names.
+    const PART_SELECTORS = {
+        thinking: '[data-testid*="thinking"], [class*="thinking" i]',
+        artifact: '[data-testid*="artifact"], [class*="artifact-block"]',
+        tool: '[data-testid*="tool-use"], [data-testid*="tool_use"], [class*="tool-use"]',
+        text: '.standard-markdown, .progressive-markdown, [class*="markdown"]',
+        artifactPanel: '[data-testid*="artifact-panel"], [data-testid*="artifact-view"], [class*="artifact-panel"]',
+    };
+
+    // Label of the toggle of a thinking block without a recognizable class
+    const THINKING_LABEL = /^(thought process|thinking|thought for\b)/i;
+
+    // UI chrome that lives inside a turn but is not part of the message
+    const CHROME_SELECTOR =
+        'button, nav, .sr-only, svg, [aria-hidden="true"], [role="toolbar"], script, style, .katex-html, ' +
+        '[class*="avatar"], [class*="Avatar"], [class*="icon"], [class*="Icon"], ' +
+        '[class*="action"], [class*="Action"], [class*="toolbar"], [class*="Toolbar"], ' +
+        ATTACHMENT_SELECTOR;
+
     /**
-     * Extract text content from a message turn element.
+     * Extract both markdown text AND sanitized HTML from a message turn element.
+     * Returns { text: string, html: string }
      */
     function getMessageContent(msgEl) {
         // Try high-specificity content selectors first
-        const contentSelectors = [
-            '.font-claude-message',
-            '[class*="markdown"]',
-            '[class*="Markdown"]',
-            '.prose',
-            '.whitespace-pre-wrap',
-            'div[class*="message-content"]',
-            'div[class*="messageContent"]',
-        ];
-
-        for (const sel of contentSelectors) {
+        for (const sel of CONTENT_SELECTORS) {
             try {
                 const el = msgEl.querySelector(sel);
                 if (el) {
-                    const text = ChatSaverCommon.extractTextContent(el).trim();
-                    if (text.length > 0) return text;
+                    const result = extractFrom(el);
+                    if (result.text.length > 0) return result;
                 }
             } catch (e) { }
         }
 
-        // Fallback: clone, strip chrome, extract text
-        const clone = msgEl.cloneNode(true);
-        clone.querySelectorAll(
-            'button, nav, .sr-only, svg, [aria-hidden], [role="toolbar"], ' +
-            '[class*="avatar"], [class*="Avatar"], [class*="icon"], [class*="Icon"], ' +
-            '[class*="action"], [class*="Action"], [class*="toolbar"], [class*="Toolbar"]'
-        ).forEach(el => el.remove());
+        // Fallback: the whole turn, minus chrome
+        return extractFrom(msgEl);
+    }
 
+    /**
+     * Markdown and sanitized HTML of an element, minus UI chrome and minus
+     * any of `exclude` it contains
+     */
+    function extractFrom(el, exclude = []) {
+        const clone = el.cloneNode(true);
+        if (exclude.some((block) => el.contains(block))) {
+            // Drop the excluded blocks from the clone by their path from `el`
+            const paths = exclude.filter((block) => el.contains(block) && block !== el).map((block) => {
+                const path = [];
+                for (let node = block; node !== el; node = node.parentElement) {
+                    path.unshift(Array.prototype.indexOf.call(node.parentElement.children, node));
+                }
+                return path;
+            });
+            paths
+                .map((path) => path.reduce((node, i) => node && node.children[i], clone))
+                .forEach((node) => node && node.remove());
+        }
+        ChatSaverCommon.replaceMath(clone);
+        clone.querySelectorAll(CHROME_SELECTOR).forEach((node) => node.remove());
+
+        // Get markdown (for export / search / fallback)
         const text = ChatSaverCommon.extractTextContent(clone).trim();
-        return text;
+
+        // Get sanitized HTML (for rendering)
+        const html = ChatSaverCommon.sanitizeHTML(clone.innerHTML);
+
+        return { text, html };
+    }
+
+    /**
+     * An assistant turn as an ordered list of typed parts (see
+     * lib/parts.js): answer text, extended thinking,
+     * artifacts and tool calls. Returns [] for a turn that is only text, which
+     * is scraped as before by getMessageContent.
+     *
+     * @param {Object|null} openArtifact - see getOpenArtifact
+     */
+    function getMessageParts(msgEl, openArtifact) {
+        const outermost = (els) => els.filter((el, i) =>
+            els.indexOf(el) === i && !els.some((other) => other !== el && other.contains(el))
+        );
+        const queryAll = (selector) => {
+            try {
+                return Array.from(msgEl.querySelectorAll(selector));
+            } catch (err) {
+                return [];
+            }
+        };
+
+        const blocks = outermost([
+            ...queryAll(PART_SELECTORS.thinking),
+            ...findThinkingToggles(msgEl),
+            ...queryAll(PART_SELECTORS.artifact),
+            ...queryAll(PART_SELECTORS.tool),
+        ]);
+        if (blocks.length === 0) return [];
+
+        // Answer text around the blocks; text that holds a block loses it
+        let texts = outermost(queryAll(PART_SELECTORS.text)).filter((el) => !blocks.some((block) => block.contains(el)));
+        if (texts.length === 0) texts = [msgEl];
+
+        const parts = [];
+        blocks.concat(texts)
+            .sort((a, b) => (a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1))
+            .forEach((el) => {
+                if (texts.includes(el)) {
+                    const result = extractFrom(el, blocks);
+                    if (result.text) parts.push({ type: 'text', text: result.text, html: result.html });
+                } else if (el.matches(PART_SELECTORS.artifact)) {
+                    parts.push(readArtifactCard(el, openArtifact));
+                } else if (el.matches(PART_SELECTORS.tool)) {
+                    const label = getTextLines(el)[0] || 'Tool use';
+                    const result = extractFrom(el);
+                    parts.push({ type: 'tool', title: label, text: result.text });
+                } else {
+                    const toggle = Array.from(el.querySelectorAll('button')).find((b) => THINKING_LABEL.test(b.textContent.trim()));
+                    const result = extractFrom(el);
+                    const part = { type: 'thinking', title: toggle ? toggle.textContent.trim() : 'Thinking', text: result.text };
+                    if (result.html) part.html = result.html;
+                    parts.push(part);
+                }
+            });
+
+        return parts;
+    }
+
+    /**
+     * Thinking blocks found by the label on their toggle ("Thought
+     * process"): the smallest ancestor of the toggle that holds more than it
+     */
+    function findThinkingToggles(msgEl) {
+        const blocks = [];
+        msgEl.querySelectorAll('button').forEach((button) => {
+            const label = button.textContent.trim();
+            if (!THINKING_LABEL.test(label)) return;
+
+            let block = button.parentElement;
+            while (block && block !== msgEl && block.textContent.trim() === label) block = block.parentElement;
+            if (block && block !== msgEl) blocks.push(block);
+        });
+        return blocks;
+    }
+
+    /**
+     * An artifact card in the chat: its title and type ("Code · Python",
+     * "Document", "Interactive artifact"…). The card has no source; that is
+     * read from the artifact panel when it shows this artifact (the latest
+     * card with the panel's title). Later scrapes, with the panel closed,
+     * leave the text empty and the archive keeps the source it has.
+     */
+    function readArtifactCard(card, openArtifact) {
+        const [title = 'Artifact', label = ''] = getTextLines(card);
+        const [kind, language] = getArtifactKind(label);
+
+        const part = { type: 'artifact', title, kind, text: '' };
+        if (language) part.language = language;
+        if (openArtifact && openArtifact.card === card) {
+            part.text = openArtifact.text;
+            if (!language && openArtifact.language) part.language = openArtifact.language;
+        }
+        return part;
+    }
+
+    /**
+     * [kind, language] from the type line of an artifact card
+     */
+    function getArtifactKind(label) {
+        const lower = label.toLowerCase();
+        if (/\bsvg\b|\bimage\b/.test(lower)) return ['svg', ''];
+        if (/\bhtml\b|interactive|website|web page/.test(lower)) return ['html', ''];
+        if (/\breact\b|component/.test(lower)) return ['react', ''];
+        if (/mermaid|diagram/.test(lower)) return ['mermaid', ''];
+        if (/document|markdown/.test(lower)) return ['markdown', ''];
+        // "Code · Python"
+        const language = (label.split(/[·•]/)[1] || '').trim().toLowerCase();
+        return ['code', language];
+    }
+
+    /**
+     * Source of the artifact the side panel shows (its code view, or the
+     * rendered text of a document), with the card in the chat it belongs to,
+     * or null when no artifact is open. Previews of HTML, SVG and React
+     * artifacts run in a frame from another origin, so only the code view
+     * can be read for those.
+     * @returns {{ card: Element, title: string, text: string, language?: string }|null}
+     */
+    function getOpenArtifact() {
+        const panel = Array.from(document.querySelectorAll(PART_SELECTORS.artifactPanel))
+            .find((el) => !el.closest(TURN_SELECTOR));
+        if (!panel) return null;
+
+        const heading = panel.querySelector('h1, h2, h3, [class*="title" i]');
+        const title = heading ? heading.textContent.trim() : '';
+        const cards = Array.from(document.querySelectorAll(PART_SELECTORS.artifact))
+            .filter((card) => card.closest(TURN_SELECTOR) && (!title || card.textContent.includes(title)));
+        if (cards.length === 0) return null;
+
+        const artifact = { card: cards[cards.length - 1], title, text: '' };
+        const code = panel.querySelector('.cm-content, pre');
+        const markdown = panel.querySelector(PART_SELECTORS.text);
+        if (code) {
+            artifact.text = ChatSaverCommon.extractCodeText(code);
+            const codeEl = code.querySelector('code');
+            const language = codeEl && (codeEl.className.match(/language-([\w+#-]+)/) || [])[1];
+            if (language) artifact.language = language;
+        } else if (markdown) {
+            artifact.text = extractFrom(markdown).text;
+        }
+        return artifact;
+    }
+
+    // Non-empty text lines of an element, minus icons and screen-reader text
+    function getTextLines(el) {
+        const lines = [];
+        const walker = document.createTreeWalker(el, NodeFilter.SHOW_TEXT);
+        for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+            if (node.parentElement.closest('svg, script, style, .sr-only')) continue;
+            const text = node.data.trim();
+            if (text) lines.push(text);
+        }
+        return lines;
     }
 
+    /**
+     * Files, pasted text and images uploaded with a user turn. Claude puts
+     * the cards either in the turn or in a row just above it.
+     */
+    function getAttachments(msgEl) {
+        const scopes = [msgEl];
+        const above = msgEl.previousElementSibling;
+        if (above && !above.matches(TURN_SELECTOR) && !above.querySelector(TURN_SELECTOR)) scopes.push(above);
+        return ChatSaverCommon.extractAttachments(scopes, ATTACHMENT_SELECTOR);
+    }
+
+    /**
+     * Title of the open chat, and how sure we are of it: 'high' for the
+     * title element, 'low' for guesses from header text or the page title,
+     * 'none' for the placeholder.
+     * Returns { title, confidence }
+     */
     function getConversationTitle() {
+        // The first two name the chat title itself; the rest are guesses
         const titleSelectors = [
             '[data-testid="chat-title"]',
             'button[data-testid*="title"]',
@@ -167,13 +399,13 @@
             'nav button[aria-current]',
         ];
 
-        for (const sel of titleSelectors) {
+        for (let i = 0; i < titleSelectors.length; i++) {
             try {
-                const el = document.querySelector(sel);
+                const el = document.querySelector(titleSelectors[i]);
                 if (!el) continue;
                 const text = (el.textContent || '').trim();
                 if (text && text !== 'Claude' && text !== 'New chat' && text.length > 1 && text.length < 280) {
-                    return text;
+                    return { title: text, confidence: i < 2 ? 'high' : 'low' };
                 }
             } catch (err) { }
         }
@@ -181,10 +413,10 @@
         // Try the page title as fallback
         const pageTitle = document.title || '';
         if (pageTitle && !pageTitle.includes('Claude') && pageTitle.length > 2 && pageTitle.length < 200) {
-            return pageTitle;
+            return { title: pageTitle, confidence: 'low' };
         }
 
-        return 'Untitled Chat';
+        return { title: 'Untitled Chat', confidence: 'none' };
     }
 
     function scrapeConversation() {
@@ -198,6 +430,7 @@
 
         const messages = [];
         let lastRole = null;
+        const openArtifact = getOpenArtifact();
 
         messageEls.forEach((msgEl, index) => {
             let role = getMessageRole(msgEl);
@@ -206,13 +439,32 @@
                 role = lastRole === 'user' ? 'assistant' : 'user';
             }
 
-            const content = getMessageContent(msgEl);
-            if (!content || content.length < 2) return;
+            const parts = role === 'assistant' ? getMessageParts(msgEl, openArtifact) : [];
+            // With parts, the text is theirs in order (text parts carry the HTML)
+            const result = parts.length > 0
+                ? {
+                    text: ChatSaverParts.partsToMarkdown(parts),
+                    html: parts.filter((part) => part.type === 'text').map((part) => part.html).join('\n'),
+                }
+                : getMessageContent(msgEl);
+            const attachments = role === 'user' ? getAttachments(msgEl) : [];
+            // A turn can be just an upload, with no text
+            if (!result || (result.text.length < 2 && attachments.length === 0)) return;
 
             // Skip duplicates
-            if (messages.length > 0 && messages[messages.length - 1].content === content) return;
-
-            messages.push({ role, content, index });
+            if (result.text && messages.length > 0 && messages[messages.length - 1].content === result.text) return;
+
+            const message = {
+                role,
+                content: result.text,        // markdown (for search / export)
+                contentHtml: result.html,     // sanitized HTML (for rendering)
+                index,
+                textVersion: ChatSaverCommon.TEXT_VERSION,
+                ...messageTracker.stamp(role + ':' + index, result.text),
+            };
+            if (attachments.length > 0) message.attachments = attachments;
+            if (parts.length > 0) message.parts = parts;
+            messages.push(message);
             lastRole = role;
         });
 
@@ -223,22 +475,61 @@
 
         console.log(`[ChatSaver] Scraped ${messages.length} messages (user: ${messages.filter(m => m.role === 'user').length}, assistant: ${messages.filter(m => m.role === 'assistant').length})`);
 
+        const { title, confidence } = getConversationTitle();
         return {
             id: ChatSaverCommon.generateId('claude', window.location.href),
             source: 'claude',
-            title: getConversationTitle(),
+            title,
+            titleConfidence: confidence,
             url: window.location.href,
             messages,
         };
     }
 
+    /**
+     * Project the open chat belongs to, for capture rules: project chats
+     * show a link back to the project above the conversation (the sidebar
+     * may list other projects, so links in navigation do not count)
+     */
+    function getCaptureContext() {
+        const link = Array.from(document.querySelectorAll('a[href*="/project/"]')).find((a) => !a.closest('nav'));
+        const project = link ? link.textContent.trim() : '';
+        return project ? { project } : {};
+    }
+
     function saveCurrentConversation() {
         const conversation = scrapeConversation();
         if (!conversation || conversation.messages.length === 0) return;
+        if (skippedIds.has(conversation.id)) return;
+
+        const captured = ChatSaverCommon.applyCaptureRules(conversation, settings.rules, getCaptureContext());
+        if (captured.excluded) {
+            if (indicator) indicator.setExcluded(captured.excluded);
+            return;
+        }
+        if (captured.redacted > 0) console.log(`[ChatSaver] Redacted ${captured.redacted} match(es) before saving`);
+
+        ChatSaverCommon.sendToBackground('SAVE_CONVERSATION', { conversation: captured.conversation })
+            .then((response) => {
+                const skipped = response.result && response.result.skipped;
+                if (skipped) {
+                    skippedIds.add(conversation.id);
+                    if (indicator) indicator.setInactive(ChatSaverCommon.describeSkippedSave(skipped));
+                    console.log(`[ChatSaver] Not saving Claude conversation "${conversation.title}": ${skipped}`);
+                    return;
+                }
 
-        ChatSaverCommon.sendToBackground('SAVE_CONVERSATION', { conversation })
-            .then(() => {
-                if (indicator) indicator.flash();
+                if (indicator) {
+                    // Clears the excluded look once the rules allow this chat again
+                    indicator.setActive();
+                    indicator.flash();
+                }
+                const merge = response.result && response.result.merge;
+                if (merge && merge.conflict) {
+                    console.warn(
+                        `[ChatSaver] Page diverged from the archived Claude conversation; ${merge.replaced} stored msgs kept as a branch`
+                    );
+                }
                 console.log(
                     `[ChatSaver] Saved Claude conversation: "${conversation.title}" (${conversation.messages.length} msgs)`
                 );
@@ -248,7 +539,7 @@
             });
     }
 
-    const debouncedSave = ChatSaverCommon.debounce(saveCurrentConversation, 1800);
+    let debouncedSave = ChatSaverCommon.debounce(saveCurrentConversation, ChatSaverSettings.DEFAULT_SETTINGS.saveDelayMs);
 
     function startObserving() {
         if (observer) observer.disconnect();
@@ -279,17 +570,26 @@
         if (newId === currentConvId) return;
 
         currentConvId = newId;
-        setTimeout(saveCurrentConversation, 2200);
+        messageTracker.reset();
+        if (indicator && !skippedIds.has(newId)) indicator.setActive();
+        setTimeout(autoSave, settings.firstSaveDelayMs);
     }
 
-    function init() {
-        indicator = ChatSaverCommon.createSaveIndicator({
+    function createIndicator() {
+        return ChatSaverCommon.createSaveIndicator({
             onClick: () => {
                 const conversation = scrapeConversation();
                 if (!conversation || conversation.messages.length === 0) return false;
 
-                return ChatSaverCommon.sendToBackground('SAVE_CONVERSATION', { conversation })
-                    .then(() => {
+                const captured = ChatSaverCommon.applyCaptureRules(conversation, settings.rules, getCaptureContext());
+                if (captured.excluded) return `Not saved (${captured.excluded})`;
+
+                return ChatSaverCommon.sendToBackground('SAVE_CONVERSATION', { conversation: captured.conversation })
+                    .then((response) => {
+                        const skipped = response.result && response.result.skipped;
+                        if (skipped) return ChatSaverCommon.describeSkippedSave(skipped);
+                        // Restored from the trash or unignored since: save again
+                        skippedIds.delete(conversation.id);
                         console.log(`[ChatSaver] Manual save: "${conversation.title}" (${conversation.messages.length} msgs)`);
                         return true;
                     })
@@ -299,19 +599,66 @@
                     });
             }
         });
+    }
+
+    /**
+     * Save unless capture on this site is manual-only or off
+     */
+    function autoSave() {
+        if (captureMode === 'auto') saveCurrentConversation();
+    }
+
+    /**
+     * (Re)start capture for new settings: the indicator dot, observer and
+     * timers follow the capture mode of this site
+     */
+    function applySettings(next) {
+        settings = next;
+        captureMode = ChatSaverSettings.getCaptureMode(settings, 'claude');
+
+        clearInterval(urlCheckInterval);
+        clearInterval(periodicSaveInterval);
+        periodicSaveInterval = null;
+        if (observer) observer.disconnect();
+
+        if (captureMode === 'off') {
+            urlCheckInterval = null;
+            if (indicator) indicator.remove();
+            indicator = null;
+            return;
+        }
+
+        // Pass the save function to enable manual click-to-save
+        if (!indicator) indicator = createIndicator();
+        urlCheckInterval = setInterval(checkUrlChange, settings.urlPollMs);
+        if (captureMode !== 'auto') return;
+
+        debouncedSave = ChatSaverCommon.debounce(saveCurrentConversation, settings.saveDelayMs);
         startObserving();
+        if (settings.periodicSaveMs > 0) {
+            periodicSaveInterval = setInterval(saveCurrentConversation, settings.periodicSaveMs);
+        }
+    }
 
+    async function init() {
         currentConvId = ChatSaverCommon.generateId('claude', window.location.href);
-        urlCheckInterval = setInterval(checkUrlChange, 2000);
-        periodicSaveInterval = setInterval(saveCurrentConversation, 15000);
 
-        setTimeout(saveCurrentConversation, 2600);
-        window.addEventListener('beforeunload', saveCurrentConversation);
+        let initial = ChatSaverSettings.DEFAULT_SETTINGS;
+        try {
+            initial = await ChatSaverSettings.getSettings();
+        } catch (err) {
+            console.warn('[ChatSaver] Could not read settings, using defaults:', err);
+        }
+        applySettings(initial);
+        ChatSaverSettings.onSettingsChanged(applySettings);
+
+        setTimeout(autoSave, settings.firstSaveDelayMs);
+        window.addEventListener('beforeunload', autoSave);
         document.addEventListener('visibilitychange', () => {
-            if (document.visibilityState === 'hidden') saveCurrentConversation();
+            if (document.visibilityState === 'hidden') autoSave();
         });
 
-        console.log('[ChatSaver] Claude auto-saver initialized');
+        console.log(`[ChatSaver] Claude saver initialized (${captureMode})`);
     }
 
     if (document.readyState === 'loading') {
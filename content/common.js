@@ -3,6 +3,18 @@
  */
 
 const ChatSaverCommon = (() => {
+    /**
+     * Version of the text extraction, stamped on every scraped message as
+     * `textVersion`. Bump it when a change makes the same page give
+     * different `content` (2: equations as TeX, list item text, Claude
+     * parts); the archive then takes a re-extracted turn as an update of
+     * its stored copy instead of an edit.
+     */
+    const TEXT_VERSION = 2;
+
+    // How long a chat the archive skipped goes unsent before a save retries it
+    const SKIP_RECHECK_MS = 60 * 1000;
+
     /**
      * Recursively extract text content from a DOM element,
      * preserving code blocks, formatting, and nested lists.
@@ -31,6 +43,13 @@ const ChatSaverCommon = (() => {
                     continue;
                 }
 
+                // --- Math (placeholders left by replaceMath) ---
+                const math = mathToMarkdown(child, inline);
+                if (math !== null) {
+                    result += math;
+                    continue;
+                }
+
                 // --- Code blocks / inline code ---
                 if (tag === 'pre') {
                     const codeEl = child.querySelector('code') || child;
@@ -183,6 +202,15 @@ const ChatSaverCommon = (() => {
                     nestedLists += processListElement(child, indent + 1);
                     continue;
                 }
+                const math = mathToMarkdown(child, true);
+                if (math !== null) {
+                    textParts += math;
+                    continue;
+                }
+            }
+            if (child.nodeType === Node.TEXT_NODE) {
+                textParts += child.textContent;
+                continue;
             }
             // Everything else is inline text content of this list item
             textParts += extractTextContent(child, { inline: true, indent });
@@ -191,6 +219,18 @@ const ChatSaverCommon = (() => {
         return prefix + marker + ' ' + textParts.trim() + '\n' + nestedLists;
     }
 
+    /**
+     * $TeX$ or $$TeX$$ for a math placeholder (see replaceMath), or null
+     * for any other element
+     */
+    function mathToMarkdown(el, inline) {
+        if (el.classList.contains('math-display')) {
+            return inline ? '$$' + el.textContent + '$$' : '\n$$' + el.textContent + '$$\n';
+        }
+        if (el.classList.contains('math-inline')) return '$' + el.textContent + '$';
+        return null;
+    }
+
     /**
      * Post-process markdown: collapse excessive blank lines, trim edges
      */
@@ -230,6 +270,262 @@ const ChatSaverCommon = (() => {
         return md;
     }
 
+    /**
+     * Replace KaTeX output with its TeX source, so equations survive the
+     * clean-up (which drops the visual `.katex-html` half) as something the
+     * viewer can render again: <span class="math-inline">TeX</span>, or
+     * class "math-display" for display equations. extractTextContent turns
+     * those into $…$ and $$…$$. Works on a clone, in place.
+     */
+    function replaceMath(root) {
+        root.querySelectorAll('.katex-display, .katex').forEach((el) => {
+            if (!root.contains(el)) return;
+            const annotation = el.querySelector('annotation[encoding="application/x-tex"]');
+            if (!annotation) return;
+
+            const display = el.classList.contains('katex-display') || !!el.closest('.katex-display');
+            const target = display ? el.closest('.katex-display') || el : el;
+            const placeholder = document.createElement('span');
+            placeholder.className = display ? 'math-display' : 'math-inline';
+            placeholder.textContent = annotation.textContent.trim();
+            target.replaceWith(placeholder);
+        });
+    }
+
+    const DEFAULT_ALLOWED_TAGS = [
+        'p', 'br', 'strong', 'b', 'em', 'i', 'u', 'a',
+        'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+        'ul', 'ol', 'li',
+        'pre', 'code', 'blockquote',
+        'table', 'thead', 'tbody', 'tr', 'th', 'td',
+        'hr', 'img', 'span', 'div', 'sup', 'sub',
+    ];
+
+    const DEFAULT_ALLOWED_ATTRS = ['href', 'src', 'alt', 'class', 'target', 'rel'];
+
+    /**
+     * Sanitize HTML: keep only safe tags and attributes.
+     * Strips site-specific (Tailwind etc.) classes and keeps structural elements.
+     *
+     * @param {string} rawHtml - HTML to clean
+     * @param {Object} [options]
+     * @param {string[]} [options.allowTags]      - extra tags to keep on top of the defaults
+     * @param {string[]} [options.allowAttrs]     - extra attributes to keep on top of the defaults
+     * @param {string}   [options.removeSelector] - elements matching this are dropped with their contents
+     * @param {Function} [options.keepClass]      - (tag, className) => class string to keep, or '' to strip.
+     *                                              Defaults to `language-*` on <code> and math placeholders.
+     */
+    function sanitizeHTML(rawHtml, options = {}) {
+        // Parsed in a document of its own, so nothing in it loads or runs
+        // (the viewer sanitizes imported archives with this too)
+        const temp = document.implementation.createHTMLDocument('').createElement('div');
+        temp.innerHTML = rawHtml;
+        // Disallowed tags keep their text, but script and style text is not content
+        temp.querySelectorAll('script, style').forEach((el) => el.remove());
+
+        const allowedTags = new Set(DEFAULT_ALLOWED_TAGS.concat(options.allowTags || []));
+        const allowedAttrs = new Set(DEFAULT_ALLOWED_ATTRS.concat(options.allowAttrs || []));
+        const keepClass = typeof options.keepClass === 'function' ? options.keepClass : keepDefaultClasses;
+
+        if (options.removeSelector) {
+            try {
+                temp.querySelectorAll(options.removeSelector).forEach((el) => el.remove());
+            } catch (err) {
+                // Ignore invalid selectors.
+            }
+        }
+
+        function cleanNode(node) {
+            const children = Array.from(node.childNodes);
+            for (const child of children) {
+                if (child.nodeType === Node.COMMENT_NODE) {
+                    node.removeChild(child);
+                    continue;
+                }
+                if (child.nodeType !== Node.ELEMENT_NODE) continue;
+
+                const tag = child.tagName.toLowerCase();
+                if (!allowedTags.has(tag)) {
+                    // Clean the subtree first, then replace the disallowed tag with its children
+                    cleanNode(child);
+                    while (child.firstChild) {
+                        node.insertBefore(child.firstChild, child);
+                    }
+                    node.removeChild(child);
+                    continue;
+                }
+
+                // Strip all attributes except allowed ones
+                const attrs = Array.from(child.attributes);
+                for (const attr of attrs) {
+                    if (!allowedAttrs.has(attr.name)) {
+                        child.removeAttribute(attr.name);
+                    } else if ((attr.name === 'href' || attr.name === 'src') && /^\s*javascript:/i.test(attr.value)) {
+                        child.removeAttribute(attr.name);
+                    }
+                }
+
+                const kept = keepClass(tag, child.getAttribute('class') || '');
+                if (kept) {
+                    child.className = kept;
+                } else {
+                    child.removeAttribute('class');
+                }
+
+                cleanNode(child);
+            }
+        }
+
+        cleanNode(temp);
+        return temp.innerHTML.trim();
+    }
+
+    /**
+     * Default class policy for sanitizeHTML: code elements keep their
+     * `language-*` class (used by the viewer for highlighting) and math
+     * placeholders (see replaceMath) theirs; nothing else keeps any.
+     */
+    function keepDefaultClasses(tag, className) {
+        if (tag === 'span') {
+            const math = className.match(/\bmath-(?:inline|display)\b/);
+            return math ? math[0] : '';
+        }
+        if (tag !== 'code') return '';
+        const match = className.match(/language-\S+/);
+        return match ? match[0] : '';
+    }
+
+    // File kinds by extension, for chips that do not name one
+    const FILE_KINDS = {
+        pdf: 'PDF', doc: 'Document', docx: 'Document', txt: 'Text', md: 'Text', rtf: 'Document',
+        csv: 'Spreadsheet', tsv: 'Spreadsheet', xls: 'Spreadsheet', xlsx: 'Spreadsheet',
+        ppt: 'Presentation', pptx: 'Presentation', json: 'Code', js: 'Code', ts: 'Code', py: 'Code',
+        html: 'Code', zip: 'Archive', png: 'Image', jpg: 'Image', jpeg: 'Image', gif: 'Image', webp: 'Image',
+    };
+
+    const SIZE_UNITS = { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3 };
+    const MAX_PREVIEW_CHARS = 2000;
+
+    /**
+     * Read the attachment chips (uploaded files and images) the site shows
+     * on a message. `selector` matches one chip; chips inside another chip
+     * count once. Returns [{ name, type, size, lines, preview, url,
+     * thumbnail }] with only what the chip shows: `url` is a download link,
+     * `thumbnail` an image of the file (or the uploaded image itself).
+     *
+     * @param {Element[]} scopes   - elements to look for chips in
+     * @param {string}    selector - one chip
+     */
+    function extractAttachments(scopes, selector) {
+        const chips = [];
+        scopes.forEach((scope) => {
+            try {
+                if (scope.matches(selector)) chips.push(scope);
+                chips.push(...scope.querySelectorAll(selector));
+            } catch (err) {
+                // Ignore invalid selectors.
+            }
+        });
+
+        const outer = chips.filter((chip, i) => chips.indexOf(chip) === i && !chips.some((other) => other !== chip && other.contains(chip)));
+        const attachments = outer.map(readAttachmentChip).filter(Boolean);
+
+        // The same file can show twice (thumbnail and name card)
+        const seen = new Set();
+        return attachments.filter((file) => {
+            const key = file.name + '|' + (file.url || file.thumbnail || '');
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+    }
+
+    function readAttachmentChip(chip) {
+        const img = chip.matches('img') ? chip : chip.querySelector('img');
+        const link = chip.matches('a[href]') ? chip : chip.querySelector('a[href]');
+        const thumbnail = img ? toFetchableUrl(img.getAttribute('src')) : null;
+        const url = link ? toFetchableUrl(link.getAttribute('href')) : null;
+
+        // Text lines of the chip: file name, kind, size, maybe a preview
+        const lines = [];
+        const walker = document.createTreeWalker(chip, NodeFilter.SHOW_TEXT);
+        for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+            if (node.parentElement.closest('button, svg, script, style, .sr-only')) continue;
+            const text = node.data.trim();
+            if (text) lines.push(text);
+        }
+
+        const labelled = chip.getAttribute('title') || chip.getAttribute('aria-label') ||
+            (link && link.getAttribute('download')) || '';
+        const named = lines.find((line) => /\.[a-z0-9]{1,6}$/i.test(line) && line.length < 260);
+        const name = (labelled || named || lines[0] || (img && img.getAttribute('alt')) || fileNameFromUrl(thumbnail || url) || '').trim();
+        if (!name && !thumbnail && !url) return null;
+
+        const file = { name: name || 'Attachment' };
+        const extension = (file.name.match(/\.([a-z0-9]{1,6})$/i) || [])[1];
+        let preview = [];
+
+        lines.forEach((line) => {
+            if (line === name) return;
+            const size = line.match(/^(\d+(?:[.,]\d+)?)\s*(B|KB|MB|GB)$/i);
+            const lineCount = line.match(/^(\d[\d,]*)\s+lines?$/i);
+            if (size) {
+                file.size = Math.round(parseFloat(size[1].replace(',', '.')) * SIZE_UNITS[size[2].toLowerCase()]);
+            } else if (lineCount) {
+                file.lines = parseInt(lineCount[1].replace(/,/g, ''), 10);
+            } else if (!file.type && Object.values(FILE_KINDS).concat('File').includes(line)) {
+                file.type = line;
+            } else if (!file.type && extension && line.toLowerCase() === extension.toLowerCase()) {
+                file.type = line.toUpperCase();
+            } else {
+                preview.push(line);
+            }
+        });
+
+        if (!file.type) {
+            file.type = (extension && FILE_KINDS[extension.toLowerCase()]) || (img && !link ? 'Image' : 'File');
+        }
+        preview = preview.join('\n').trim();
+        if (preview) file.preview = preview.slice(0, MAX_PREVIEW_CHARS);
+        if (url) file.url = url;
+        if (thumbnail) file.thumbnail = thumbnail;
+        return file;
+    }
+
+    /**
+     * Text of a code view: CodeMirror renders one element per line, a
+     * <pre> is plain text
+     */
+    function extractCodeText(el) {
+        const lines = el.querySelectorAll('.cm-line');
+        const text = lines.length > 0
+            ? Array.from(lines, (line) => line.textContent).join('\n')
+            : (el.querySelector('code') || el).textContent;
+        return text.replace(/\s+$/, '');
+    }
+
+    // Only http(s) links can be downloaded later; blob: URLs die with the page
+    function toFetchableUrl(value) {
+        if (!value) return null;
+        try {
+            const url = new URL(value, window.location.href);
+            return url.protocol === 'https:' || url.protocol === 'http:' ? url.toString() : null;
+        } catch (err) {
+            return null;
+        }
+    }
+
+    function fileNameFromUrl(url) {
+        if (!url) return '';
+        const last = new URL(url).pathname.split('/').filter(Boolean).pop() || '';
+        if (!/\.[a-z0-9]{1,6}$/i.test(last)) return '';
+        try {
+            return decodeURIComponent(last);
+        } catch (err) {
+            return last;
+        }
+    }
+
     /**
      * Debounce a function
      */
@@ -255,7 +551,12 @@ const ChatSaverCommon = (() => {
         }
 
         if (source === 'chatgpt') {
-            // URLs like /c/abc123 or /g/abc123
+            // URLs like /c/abc123, or /g/<gpt-id>/c/abc123 for Custom GPT chats —
+            // the conversation id is the segment after /c/, never the GPT id
+            const cIndex = pathParts.indexOf('c');
+            const afterC = cIndex !== -1 ? pathParts[cIndex + 1] : null;
+            if (afterC && afterC.length > 8) return 'chatgpt_' + afterC;
+
             const chatId = pathParts.find((p) => p.length > 8 && p !== 'c' && p !== 'g' && p !== 'chat');
             if (chatId) return 'chatgpt_' + chatId;
         }
@@ -277,6 +578,57 @@ const ChatSaverCommon = (() => {
         return source + '_' + Math.abs(hash).toString(36);
     }
 
+    /**
+     * Track when each message was first seen and last changed on the page.
+     * Keys are whatever identifies a turn for the caller (message id, or
+     * role + position); reset() when the page switches conversation.
+     */
+    function createMessageTracker() {
+        const seen = new Map();
+
+        return {
+            stamp(key, text) {
+                const now = new Date().toISOString();
+                let entry = seen.get(key);
+                if (!entry) {
+                    entry = { firstSeenAt: now, lastChangedAt: now, text };
+                    seen.set(key, entry);
+                } else if (entry.text !== text) {
+                    entry.text = text;
+                    entry.lastChangedAt = now;
+                }
+                return { firstSeenAt: entry.firstSeenAt, lastChangedAt: entry.lastChangedAt };
+            },
+            reset() {
+                seen.clear();
+            },
+        };
+    }
+
+    /**
+     * Chats the archive would not save (in the trash or ignored), so saves
+     * stop sending them. An entry lapses after SKIP_RECHECK_MS: the chat may
+     * have been restored or unignored since, so the next save tries again.
+     */
+    function createSkipList() {
+        const skippedAt = new Map();
+
+        return {
+            add(id) {
+                skippedAt.set(id, Date.now());
+            },
+            has(id) {
+                if (!skippedAt.has(id)) return false;
+                if (Date.now() - skippedAt.get(id) < SKIP_RECHECK_MS) return true;
+                skippedAt.delete(id);
+                return false;
+            },
+            delete(id) {
+                skippedAt.delete(id);
+            },
+        };
+    }
+
     /**
      * Send a message to the background service worker
      */
@@ -346,9 +698,10 @@ const ChatSaverCommon = (() => {
       cursor: pointer;
       box-shadow: 0 0 0 2px rgba(0, 0, 0, 0.55);
     `;
-        dot.title = onClick
+        const restingTitle = onClick
             ? 'Offline Chat Saver: Click to save now'
             : 'Offline Chat Saver: Active';
+        dot.title = restingTitle;
         document.body.appendChild(dot);
 
         let resetTimer = null;
@@ -360,9 +713,7 @@ const ChatSaverCommon = (() => {
                 dot.style.transform = 'scale(1)';
                 dot.style.opacity = '0.8';
                 dot.style.background = '#f0f0f0';
-                dot.title = onClick
-                    ? 'Offline Chat Saver: Click to save now'
-                    : 'Offline Chat Saver: Active';
+                dot.title = restingTitle;
             }, 900);
         }
 
@@ -376,10 +727,11 @@ const ChatSaverCommon = (() => {
             dot.title = 'Offline Chat Saver: Saving...';
 
             try {
+                // false: nothing to save; a string: why the save was skipped
                 const result = await onClick();
-                if (result === false) {
+                if (result === false || typeof result === 'string') {
                     dot.style.background = '#7a7a7a';
-                    dot.title = 'Offline Chat Saver: No conversation to save';
+                    dot.title = `Offline Chat Saver: ${result || 'No conversation to save'}`;
                     scheduleReset();
                     return false;
                 }
@@ -418,13 +770,20 @@ const ChatSaverCommon = (() => {
                 }, 400);
             },
             manualSave: doManualSave,
-            setInactive() {
+            setInactive(reason) {
                 dot.style.background = '#666';
-                dot.title = 'Offline Chat Saver: Inactive';
+                dot.title = `Offline Chat Saver: ${reason || 'Inactive'}`;
             },
             setActive() {
                 dot.style.background = '#f0f0f0';
-                dot.title = 'Offline Chat Saver: Active';
+                dot.style.boxShadow = '0 0 0 2px rgba(0, 0, 0, 0.55)';
+                dot.title = restingTitle;
+            },
+            // Hollow ring: a capture rule keeps this page out of the archive
+            setExcluded(reason) {
+                dot.style.background = 'transparent';
+                dot.style.boxShadow = 'inset 0 0 0 2px #f0f0f0, 0 0 0 2px rgba(0, 0, 0, 0.55)';
+                dot.title = `Offline Chat Saver: Not saved (${reason})`;
             },
             remove() {
                 dot.remove();
@@ -432,6 +791,130 @@ const ChatSaverCommon = (() => {
         };
     }
 
+    const REDACTED_TEXT = '[redacted]';
+
+    /**
+     * Run the capture rules (see lib/settings.js) over a scraped
+     * conversation before it is sent. `context` holds what only the page
+     * knows: { gpt, project } names or ids, when the chat has them.
+     * Returns { conversation, excluded, redacted }: `excluded` says why the
+     * chat must not be saved (null when it may be), and `conversation` has
+     * the text matched by redact rules replaced, `redacted` times.
+     */
+    function applyCaptureRules(conversation, rules, context = {}) {
+        const active = (rules || []).filter((rule) => rule.enabled);
+
+        const includes = active.filter((rule) => rule.action === 'include');
+        if (includes.length > 0 && !includes.some((rule) => ruleMatches(rule, conversation, context))) {
+            return { conversation, excluded: 'no "save only" rule matches', redacted: 0 };
+        }
+
+        const skip = active.find((rule) => rule.action === 'skip' && ruleMatches(rule, conversation, context));
+        if (skip) {
+            return { conversation, excluded: `rule "${skip.label || skip.pattern || skip.match}"`, redacted: 0 };
+        }
+
+        const patterns = active
+            .filter((rule) => rule.action === 'redact')
+            .map((rule) => ChatSaverSettings.compileRulePattern(rule, 'gi'))
+            .filter(Boolean);
+        if (patterns.length === 0) return { conversation, excluded: null, redacted: 0 };
+
+        let redacted = 0;
+        const redact = (text) => patterns.reduce((out, regex) => out.replace(regex, () => {
+            redacted++;
+            return REDACTED_TEXT;
+        }), text);
+
+        const messages = conversation.messages.map((msg) => {
+            const result = { ...msg, content: redact(msg.content || '') };
+            if (msg.contentHtml) {
+                const html = redactHtml(msg.contentHtml, patterns);
+                if (html === null) delete result.contentHtml;
+                else result.contentHtml = html;
+            }
+            if (msg.attachments) {
+                result.attachments = msg.attachments.map((file) =>
+                    file.preview ? { ...file, preview: redact(file.preview) } : file
+                );
+            }
+            if (msg.parts) {
+                result.parts = msg.parts.map((part) => {
+                    const redactedPart = { ...part };
+                    if (part.title) redactedPart.title = redact(part.title);
+                    if (part.text) redactedPart.text = redact(part.text);
+                    if (part.html) {
+                        const html = redactHtml(part.html, patterns);
+                        if (html === null) delete redactedPart.html;
+                        else redactedPart.html = html;
+                    }
+                    return redactedPart;
+                });
+            }
+            return result;
+        });
+
+        return {
+            conversation: { ...conversation, title: redact(conversation.title || ''), messages },
+            excluded: null,
+            redacted,
+        };
+    }
+
+    function ruleMatches(rule, conversation, context) {
+        const values = {
+            title: [conversation.title],
+            url: [conversation.url],
+            gpt: [context.gpt],
+            project: [context.project],
+            content: conversation.messages.flatMap((msg) =>
+                [msg.content, ...(msg.attachments || []).map((file) => file.preview)]
+            ),
+        }[rule.match].filter((value) => typeof value === 'string' && value);
+
+        if (values.length === 0) return false;
+        // No pattern: any Custom GPT or any project
+        if (!rule.pattern) return rule.match === 'gpt' || rule.match === 'project';
+
+        const regex = ChatSaverSettings.compileRulePattern(rule);
+        return !!regex && values.some((value) => regex.test(value));
+    }
+
+    /**
+     * Redact sanitized message HTML text node by text node. Returns null
+     * when a match survives (split across elements, e.g. by syntax
+     * highlighting, or inside an attribute): the caller then drops the HTML
+     * and the viewer renders the redacted markdown instead.
+     */
+    function redactHtml(html, patterns) {
+        const survives = (text) => patterns.some((regex) => {
+            regex.lastIndex = 0;
+            return regex.test(text);
+        });
+        // An inert document, as in sanitizeHTML: the page must not load its images again
+        const temp = document.implementation.createHTMLDocument('').createElement('div');
+        temp.innerHTML = html;
+        if (!survives(html) && !survives(temp.textContent)) return html;
+
+        const walker = temp.ownerDocument.createTreeWalker(temp, NodeFilter.SHOW_TEXT);
+        for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+            node.data = patterns.reduce((out, regex) => out.replace(regex, REDACTED_TEXT), node.data);
+        }
+
+        if (survives(temp.textContent) || survives(temp.innerHTML)) return null;
+        return temp.innerHTML;
+    }
+
+    /**
+     * Indicator text for a save the archive skipped: `skipped` is 'trash'
+     * or 'ignored' (see saveConversation in lib/db.js)
+     */
+    function describeSkippedSave(skipped) {
+        return skipped === 'ignored'
+            ? 'Not saved (this chat is ignored)'
+            : 'Not saved (this chat is in the trash)';
+    }
+
     /**
      * Wait for an element to appear in the DOM
      */
@@ -458,11 +941,21 @@ const ChatSaverCommon = (() => {
     }
 
     return {
+        TEXT_VERSION,
         extractTextContent,
+        replaceMath,
+        sanitizeHTML,
+        extractAttachments,
+        extractCodeText,
+        toFetchableUrl,
         debounce,
         generateId,
+        createMessageTracker,
+        createSkipList,
         sendToBackground,
         createSaveIndicator,
+        applyCaptureRules,
+        describeSkippedSave,
         waitForElement,
     };
 })();
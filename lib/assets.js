@@ -0,0 +1,235 @@
+/**
+ * Image assets for Offline Chat Saver
+ * Shared by the background worker (via importScripts) and the viewer.
+ *
+ * Images in scraped messages point at signed CDN URLs that expire within
+ * hours. On save the background fetches them into the `assets` store (see
+ * lib/db.js) and rewrites the message to reference `chatsave-asset:<id>`
+ * instead, in both the markdown and the sanitized HTML; the viewer renders
+ * those references from the stored blobs. Attachments (message.attachments,
+ * see extractAttachments in content/common.js) get the same treatment for
+ * their `url` (the file) and `thumbnail`, and so do the `url`s of 'file' and
+ * 'image' message parts (see lib/parts.js).
+ */
+
+const ASSET_SCHEME = 'chatsave-asset:';
+
+// Query parameters that sign a URL or make it expire; they change on every
+// page load while the image stays the same (Azure SAS, S3, CloudFront and
+// the ChatGPT file endpoints)
+const SIGNATURE_PARAMS = new Set([
+  'se', 'sp', 'sv', 'sr', 'sig', 'skoid', 'sktid', 'skt', 'ske', 'sks', 'skv', 'rscc', 'rscd',
+  'ts', 'expires', 'signature', 'key-pair-id', 'policy',
+]);
+
+const ASSET_REF_PATTERN = /chatsave-asset:([A-Za-z0-9_-]+)/g;
+const MARKDOWN_IMAGE_PATTERN = /!\[([^\]]*)\]\(([^)\s]+)\)/g;
+const HTML_IMAGE_PATTERN = /(<img\b[^>]*?\ssrc=")([^"]*)(")/gi;
+
+const ASSET_EXTENSIONS = {
+  'image/png': '.png',
+  'image/jpeg': '.jpg',
+  'image/gif': '.gif',
+  'image/webp': '.webp',
+  'image/svg+xml': '.svg',
+  'image/avif': '.avif',
+  'application/pdf': '.pdf',
+  'application/json': '.json',
+  'application/zip': '.zip',
+  'text/plain': '.txt',
+  'text/csv': '.csv',
+  'text/markdown': '.md',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': '.docx',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': '.xlsx',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation': '.pptx',
+};
+
+/**
+ * What identifies an image across page loads: its URL without the
+ * signature and expiry parameters
+ */
+function getAssetSourceKey(url) {
+  const parsed = new URL(url);
+  Array.from(parsed.searchParams.keys()).forEach((key) => {
+    if (SIGNATURE_PARAMS.has(key.toLowerCase()) || /^x-amz-/i.test(key)) parsed.searchParams.delete(key);
+  });
+  parsed.hash = '';
+  return parsed.toString();
+}
+
+/**
+ * Absolute http(s) URL of an image reference, or null for anything that
+ * cannot be fetched (data: URLs, stored assets, broken values)
+ */
+function resolveImageUrl(src, baseUrl) {
+  try {
+    const url = new URL(src, baseUrl);
+    return url.protocol === 'https:' || url.protocol === 'http:' ? url.toString() : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * URLs of the images a conversation's messages show, in markdown or HTML
+ * @returns {string[]}
+ */
+function collectImageUrls(conversation) {
+  const urls = new Set();
+  const add = (src) => {
+    const url = resolveImageUrl(decodeAttribute(src), conversation.url);
+    if (url) urls.add(url);
+  };
+
+  (conversation.messages || []).forEach((msg) => {
+    for (const match of (msg.content || '').matchAll(MARKDOWN_IMAGE_PATTERN)) add(match[2]);
+    for (const match of (msg.contentHtml || '').matchAll(HTML_IMAGE_PATTERN)) add(match[2]);
+  });
+
+  return Array.from(urls);
+}
+
+/**
+ * Point image references at stored assets
+ * @param {Map<string, string>} assetIds - resolved image URL → asset id;
+ *   images missing from it keep their URL
+ */
+function rewriteImageRefs(conversation, assetIds) {
+  if (assetIds.size === 0) return conversation;
+
+  const toRef = (src) => {
+    const id = assetIds.get(resolveImageUrl(decodeAttribute(src), conversation.url));
+    return id ? ASSET_SCHEME + id : null;
+  };
+
+  const messages = (conversation.messages || []).map((msg) => {
+    const result = { ...msg };
+    if (msg.content) {
+      result.content = msg.content.replace(MARKDOWN_IMAGE_PATTERN, (whole, alt, src) => {
+        const ref = toRef(src);
+        return ref ? `![${alt}](${ref})` : whole;
+      });
+    }
+    if (msg.contentHtml) {
+      result.contentHtml = msg.contentHtml.replace(HTML_IMAGE_PATTERN, (whole, before, src, after) => {
+        const ref = toRef(src);
+        return ref ? before + ref + after : whole;
+      });
+    }
+    return result;
+  });
+
+  return { ...conversation, messages };
+}
+
+/**
+ * URLs of the files and images that attachments and message parts point at
+ * and that are not stored yet (stored ones already point at
+ * `chatsave-asset:`). Attachments' `url`s and 'file' parts are files;
+ * thumbnails and 'image' parts are images.
+ * @returns {{ files: string[], images: string[] }}
+ */
+function collectFileUrls(conversation) {
+  const files = new Set();
+  const images = new Set();
+  const add = (set, value) => {
+    const url = value && resolveImageUrl(value, conversation.url);
+    if (url) set.add(url);
+  };
+
+  (conversation.messages || []).forEach((msg) => {
+    (msg.attachments || []).forEach((file) => {
+      add(files, file.url);
+      add(images, file.thumbnail);
+    });
+    (msg.parts || []).forEach((part) => {
+      if (part.type === 'file') add(files, part.url);
+      if (part.type === 'image') add(images, part.url);
+    });
+  });
+
+  return { files: Array.from(files), images: Array.from(images) };
+}
+
+/**
+ * Point attachments and message parts at stored assets
+ * @param {Map<string, string>} assetIds - resolved URL → asset id
+ */
+function rewriteFileRefs(conversation, assetIds) {
+  if (assetIds.size === 0) return conversation;
+
+  const toRef = (value) => {
+    const id = value && assetIds.get(resolveImageUrl(value, conversation.url));
+    return id ? ASSET_SCHEME + id : value;
+  };
+
+  const messages = (conversation.messages || []).map((msg) => {
+    const result = { ...msg };
+    if (msg.attachments) {
+      result.attachments = msg.attachments.map((file) => {
+        const rewritten = { ...file };
+        if (file.url) rewritten.url = toRef(file.url);
+        if (file.thumbnail) rewritten.thumbnail = toRef(file.thumbnail);
+        return rewritten;
+      });
+    }
+    if (msg.parts) {
+      result.parts = msg.parts.map((part) => (part.url ? { ...part, url: toRef(part.url) } : part));
+      // The content links generated files too (images are rewriteImageRefs' job)
+      msg.parts.forEach((part, i) => {
+        const ref = result.parts[i].url;
+        if (part.type === 'file' && ref !== part.url && result.content) {
+          result.content = result.content.split(`](${part.url})`).join(`](${ref})`);
+        }
+      });
+    }
+    return result;
+  });
+
+  return { ...conversation, messages };
+}
+
+/**
+ * Ids of the stored assets a piece of text (markdown, HTML or a whole
+ * JSON-serialized record) references
+ */
+function getAssetRefs(text) {
+  return Array.from(new Set(Array.from(String(text).matchAll(ASSET_REF_PATTERN), (match) => match[1])));
+}
+
+/**
+ * Replace asset references with `replace(id)`; ids it returns nothing for
+ * are left alone
+ */
+function replaceAssetRefs(text, replace) {
+  return text.replace(ASSET_REF_PATTERN, (whole, id) => replace(id) || whole);
+}
+
+function getAssetExtension(type) {
+  return ASSET_EXTENSIONS[type] || '';
+}
+
+// Attribute values come from serialized HTML, so `&` arrives as `&amp;`
+function decodeAttribute(value) {
+  return value
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
+
+if (typeof globalThis !== 'undefined') {
+  globalThis.ChatSaverAssets = {
+    ASSET_SCHEME,
+    getAssetSourceKey,
+    resolveImageUrl,
+    collectImageUrls,
+    rewriteImageRefs,
+    collectFileUrls,
+    rewriteFileRefs,
+    getAssetRefs,
+    replaceAssetRefs,
+    getAssetExtension,
+  };
+}
@@ -1,12 +1,44 @@
 /**
  * IndexedDB Storage Layer for Offline Chat Saver
  * Database: OfflineChatSaver
- * Object Store: conversations
+ * Object Stores: conversations, revisions, searchPostings, searchDocs, folders,
+ *                annotations, trash, ignored, assets
+ *
+ * Conversations are stored as message trees (see lib/tree.js, which must be
+ * loaded first); every record handed out carries the derived `messages` of
+ * its active branch. The search stores are an inverted index over titles and
+ * messages (see lib/search.js, also loaded first), kept in step with every
+ * conversation write. Images are stored once in the assets store and
+ * referenced from messages (see lib/assets.js, loaded first as well).
+ * Message parts are merged with the stored ones on save (see lib/parts.js,
+ * loaded first too).
  */
 
+const Tree = globalThis.ChatSaverTree;
+const Search = globalThis.ChatSaverSearch;
+const Assets = globalThis.ChatSaverAssets;
+const Parts = globalThis.ChatSaverParts;
+
 const DB_NAME = 'OfflineChatSaver';
-const DB_VERSION = 1;
+const DB_VERSION = 8;
 const STORE_NAME = 'conversations';
+const REVISIONS_STORE = 'revisions';
+const POSTINGS_STORE = 'searchPostings';
+const SEARCH_DOCS_STORE = 'searchDocs';
+const SEARCH_STORES = [POSTINGS_STORE, SEARCH_DOCS_STORE];
+const FOLDERS_STORE = 'folders';
+const ANNOTATIONS_STORE = 'annotations';
+const TRASH_STORE = 'trash';
+const IGNORED_STORE = 'ignored';
+const ASSETS_STORE = 'assets';
+
+// How sure a scraper is of a title (conversation.titleConfidence)
+const TITLE_CONFIDENCE = { none: 0, low: 1, high: 2 };
+const UNTITLED = 'Untitled Chat';
+
+// Full-archive JSON bundles (exportArchive / importArchive)
+const ARCHIVE_FORMAT = 'chatsave-archive';
+const ARCHIVE_SCHEMA_VERSION = 1;
 
 /**
  * Open (or create/upgrade) the IndexedDB database
@@ -25,6 +57,70 @@ function openDB() {
         store.createIndex('updatedAt', 'updatedAt', { unique: false });
         store.createIndex('title', 'title', { unique: false });
       }
+
+      // v2: content-addressed snapshots of every distinct message list
+      if (!db.objectStoreNames.contains(REVISIONS_STORE)) {
+        const revisions = db.createObjectStore(REVISIONS_STORE, { keyPath: 'id' });
+        revisions.createIndex('conversationId', 'conversationId', { unique: false });
+        revisions.createIndex('createdAt', 'createdAt', { unique: false });
+      }
+
+      // v3: inverted full-text index, backfilled from the stored conversations
+      if (!db.objectStoreNames.contains(POSTINGS_STORE)) {
+        const postings = db.createObjectStore(POSTINGS_STORE, { keyPath: ['term', 'conversationId'] });
+        postings.createIndex('conversationId', 'conversationId', { unique: false });
+        db.createObjectStore(SEARCH_DOCS_STORE, { keyPath: 'id' });
+
+        const tx = event.target.transaction;
+        const cursorReq = tx.objectStore(STORE_NAME).openCursor();
+        cursorReq.onsuccess = () => {
+          const cursor = cursorReq.result;
+          if (!cursor) return;
+          updateSearchIndex(tx, null, Tree.hydrateConversation(cursor.value));
+          cursor.continue();
+        };
+      }
+
+      // v4: organization — tags, folders, pins and stars
+      const conversations = event.target.transaction.objectStore(STORE_NAME);
+      if (!conversations.indexNames.contains('tags')) {
+        conversations.createIndex('tags', 'tags', { unique: false, multiEntry: true });
+        conversations.createIndex('folderId', 'folderId', { unique: false });
+        conversations.createIndex('pinnedAt', 'pinnedAt', { unique: false });
+        conversations.createIndex('starredAt', 'starredAt', { unique: false });
+      }
+      if (!db.objectStoreNames.contains(FOLDERS_STORE)) {
+        const folders = db.createObjectStore(FOLDERS_STORE, { keyPath: 'id' });
+        folders.createIndex('parentId', 'parentId', { unique: false });
+      }
+
+      // v5: highlights and notes, kept apart from the scraped records so a
+      // save never touches them
+      if (!db.objectStoreNames.contains(ANNOTATIONS_STORE)) {
+        const annotations = db.createObjectStore(ANNOTATIONS_STORE, { keyPath: 'id' });
+        annotations.createIndex('conversationId', 'conversationId', { unique: false });
+        annotations.createIndex('createdAt', 'createdAt', { unique: false });
+      }
+
+      // v6: deleted chats wait in the trash (with their revisions and
+      // annotations) until restored or purged; ignored chats are never saved
+      if (!db.objectStoreNames.contains(TRASH_STORE)) {
+        const trash = db.createObjectStore(TRASH_STORE, { keyPath: 'id' });
+        trash.createIndex('deletedAt', 'deletedAt', { unique: false });
+      }
+      if (!db.objectStoreNames.contains(IGNORED_STORE)) {
+        db.createObjectStore(IGNORED_STORE, { keyPath: 'id' });
+      }
+
+      // v7: images from saved messages, content-addressed, so they outlive
+      // the signed URLs they were fetched from (see lib/assets.js)
+      if (!db.objectStoreNames.contains(ASSETS_STORE)) {
+        const assets = db.createObjectStore(ASSETS_STORE, { keyPath: 'id' });
+        assets.createIndex('sourceKeys', 'sourceKeys', { unique: false, multiEntry: true });
+      }
+
+      // v8: Custom GPT chats move from their GPT's id to their own
+      if (event.oldVersion > 0 && event.oldVersion < 8) migrateGptChatIds(event.target.transaction);
     };
 
     request.onsuccess = () => resolve(request.result);
@@ -33,123 +129,2178 @@ function openDB() {
 }
 
 /**
- * Save or update a conversation
- * @param {Object} conversation - { id, source, title, url, messages[], savedAt, updatedAt }
+ * ChatGPT chats with a Custom GPT (/g/<gpt-id>/c/<chat-id>) used to be
+ * keyed by the GPT id, so every chat with one GPT was merged into a single
+ * record. Each such record moves to the id of the chat its URL (the last
+ * one saved into it) names, with its revisions, annotations and search
+ * entry; turns of the other chats stay on in it as branches. Records whose
+ * new id is taken are left alone. Runs in the upgrade transaction.
  */
-async function saveConversation(conversation) {
-  const db = await openDB();
-  return new Promise((resolve, reject) => {
-    const tx = db.transaction(STORE_NAME, 'readwrite');
-    const store = tx.objectStore(STORE_NAME);
+function migrateGptChatIds(tx) {
+  const store = tx.objectStore(STORE_NAME);
+  const cursorReq = store.openCursor(IDBKeyRange.bound('chatgpt_g-', 'chatgpt_g-\uffff'));
+  cursorReq.onsuccess = () => {
+    const cursor = cursorReq.result;
+    if (!cursor) return;
+    const record = cursor.value;
+    const id = getGptChatId(record.url);
+    if (id) {
+      const takenReq = store.get(id);
+      takenReq.onsuccess = () => {
+        if (!takenReq.result) moveConversation(tx, record, id);
+      };
+    }
+    cursor.continue();
+  };
+}
 
-    // Try to get existing conversation first to merge
-    const getReq = store.get(conversation.id);
+/**
+ * The conversation id for a Custom GPT chat URL, or null for anything else
+ */
+function getGptChatId(url) {
+  try {
+    const parts = new URL(url).pathname.split('/').filter(Boolean);
+    return parts[0] === 'g' && parts[2] === 'c' && parts[3] ? 'chatgpt_' + parts[3] : null;
+  } catch (err) {
+    return null;
+  }
+}
 
-    getReq.onsuccess = () => {
-      const existing = getReq.result;
-      let toSave;
+/**
+ * Re-key a stored conversation, with its revisions, annotations and search
+ * entry, inside the caller's transaction
+ */
+function moveConversation(tx, record, id) {
+  const revisionPrefix = record.id + '@';
+  const moved = { ...record, id };
+  if (moved.restoredFrom && moved.restoredFrom.startsWith(revisionPrefix)) {
+    moved.restoredFrom = id + '@' + moved.restoredFrom.slice(revisionPrefix.length);
+  }
 
-      if (existing) {
-        // Merge: keep earliest savedAt, update messages and updatedAt
-        toSave = {
-          ...existing,
-          title: conversation.title || existing.title,
-          messages: conversation.messages,
-          updatedAt: new Date().toISOString(),
-          url: conversation.url || existing.url,
-        };
-      } else {
-        toSave = {
-          ...conversation,
-          savedAt: conversation.savedAt || new Date().toISOString(),
-          updatedAt: new Date().toISOString(),
+  const store = tx.objectStore(STORE_NAME);
+  store.delete(record.id);
+  store.put(moved);
+  removeFromSearchIndex(tx, record.id);
+  updateSearchIndex(tx, null, Tree.hydrateConversation(moved));
+
+  const revisions = tx.objectStore(REVISIONS_STORE);
+  const revReq = revisions.index('conversationId').getAll(record.id);
+  revReq.onsuccess = () => {
+    (revReq.result || []).forEach((revision) => {
+      revisions.delete(revision.id);
+      revisions.put({ ...revision, id: id + '@' + revision.hash, conversationId: id });
+    });
+  };
+
+  const annotations = tx.objectStore(ANNOTATIONS_STORE);
+  const annReq = annotations.index('conversationId').getAll(record.id);
+  annReq.onsuccess = () => {
+    (annReq.result || []).forEach((annotation) => annotations.put({ ...annotation, conversationId: id }));
+  };
+}
+
+/**
+ * Bring the search index of one conversation from `previous` to `next`
+ * (hydrated records; null when there is none), inside the caller's
+ * transaction. Only postings that actually changed are written, so
+ * appending a message to a long chat touches a handful of terms.
+ */
+function updateSearchIndex(tx, previous, next) {
+  const postings = tx.objectStore(POSTINGS_STORE);
+  const before = previous ? Search.buildSearchDocument(previous).terms : new Map();
+  const after = Search.buildSearchDocument(next);
+
+  before.forEach((_, term) => {
+    if (!after.terms.has(term)) postings.delete([term, next.id]);
+  });
+  after.terms.forEach((entry, term) => {
+    if (!isSamePosting(before.get(term), entry)) {
+      postings.put({ term, conversationId: next.id, ...entry });
+    }
+  });
+
+  tx.objectStore(SEARCH_DOCS_STORE).put({ id: next.id, length: after.length, updatedAt: next.updatedAt });
+}
+
+function isSamePosting(a, b) {
+  return !!a && a.tf === b.tf && a.titleTf === b.titleTf &&
+    a.positions.length === b.positions.length &&
+    a.positions.every((p, i) => p === b.positions[i]);
+}
+
+/**
+ * Drop a conversation from the search index
+ */
+function removeFromSearchIndex(tx, id) {
+  const postings = tx.objectStore(POSTINGS_STORE);
+  const keysReq = postings.index('conversationId').getAllKeys(id);
+  keysReq.onsuccess = () => {
+    (keysReq.result || []).forEach((key) => postings.delete(key));
+  };
+  tx.objectStore(SEARCH_DOCS_STORE).delete(id);
+}
+
+/**
+ * Hash a message list by content only (role, markdown, HTML, parts and
+ * attachments), so metadata changes never produce a new revision. Two
+ * cyrb53 passes give a 106-bit hex digest — synchronous, so it can run
+ * inside an IndexedDB transaction.
+ */
+function hashMessages(messages) {
+  const str = JSON.stringify((messages || []).map(getHashedFields));
+  return cyrb53(str, 0) + cyrb53(str, 0x9e3779b9);
+}
+
+/**
+ * What of a message its hash covers. Parts and attachments only count when
+ * present, so plain turns hash as before, and their URLs without the
+ * signature that changes on every page load.
+ */
+function getHashedFields(m) {
+  const fields = [m.role || '', m.content || '', m.contentHtml || ''];
+  if (m.parts && m.parts.length > 0) fields.push(m.parts.map(withStableUrls));
+  if (m.attachments && m.attachments.length > 0) fields.push(m.attachments.map(withStableUrls));
+  return fields;
+}
+
+function withStableUrls(item) {
+  const result = { ...item };
+  ['url', 'thumbnail'].forEach((key) => {
+    const url = item[key] && Assets.resolveImageUrl(item[key]);
+    if (url) result[key] = Assets.getAssetSourceKey(url);
+  });
+  return result;
+}
+
+function cyrb53(str, seed) {
+  let h1 = 0xdeadbeef ^ seed;
+  let h2 = 0x41c6ce57 ^ seed;
+  for (let i = 0; i < str.length; i++) {
+    const ch = str.charCodeAt(i);
+    h1 = Math.imul(h1 ^ ch, 2654435761);
+    h2 = Math.imul(h2 ^ ch, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16).padStart(14, '0');
+}
+
+/**
+ * Record a snapshot of a conversation's messages in the revisions store.
+ * Revisions are keyed by conversation + content hash, so saving the same
+ * content twice is a no-op and the earliest createdAt is kept.
+ */
+function recordRevision(revisionStore, conversation, contentHash, createdAt) {
+  const id = conversation.id + '@' + contentHash;
+  const getReq = revisionStore.get(id);
+
+  getReq.onsuccess = () => {
+    if (getReq.result) return;
+    revisionStore.put({
+      id,
+      conversationId: conversation.id,
+      hash: contentHash,
+      title: conversation.title,
+      messages: conversation.messages || [],
+      messageCount: (conversation.messages || []).length,
+      createdAt: createdAt || new Date().toISOString(),
+    });
+  };
+}
+
+/**
+ * Normalize message text for comparison: whitespace differences between two
+ * renders of the same turn should not count as a change.
+ */
+function normalizeContent(text) {
+  return String(text || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Content to match turns by: the text of thinking blocks, tool calls,
+ * artifacts and documents comes and goes as the page opens and closes them,
+ * so only their titles count (see getStableContent in lib/parts.js)
+ */
+function getComparableContent(message) {
+  return normalizeContent(Parts.getStableContent(message));
+}
+
+/**
+ * Two messages are the same turn if they share a stable message id, or —
+ * when either side has no id — the same role and content.
+ */
+function isSameMessage(a, b) {
+  if (a.id && b.id) return a.id === b.id;
+  return a.role === b.role && getComparableContent(a) === getComparableContent(b);
+}
+
+/**
+ * Whether two copies of a turn differ only because different versions of
+ * the content scripts extracted them (`textVersion`; older messages have
+ * none): same role, and most words of the shorter are in the longer. Such
+ * copies are the same turn with updated text, not an edit.
+ */
+function isReextractionOf(a, b) {
+  if ((a.textVersion || 1) === (b.textVersion || 1) || a.role !== b.role) return false;
+  if (a.id && b.id) return a.id === b.id;
+
+  const x = getWords(a.content);
+  const y = getWords(b.content);
+  const [fewer, more] = x.size <= y.size ? [x, y] : [y, x];
+  if (fewer.size === 0) return false;
+  let shared = 0;
+  fewer.forEach((word) => {
+    if (more.has(word)) shared++;
+  });
+  return shared / fewer.size >= 0.8;
+}
+
+function getWords(text) {
+  return new Set(String(text || '').toLowerCase().match(/[\p{L}\p{N}]{3,}/gu) || []);
+}
+
+/**
+ * Turns the merge aligns: the same message, or one extracted again
+ */
+function isSameTurn(a, b) {
+  return isSameMessage(a, b) || isReextractionOf(a, b);
+}
+
+/**
+ * Same role and one content is a prefix of the other: the same turn seen
+ * mid-stream or only partially rendered.
+ */
+function isPartialOf(a, b) {
+  if (a.role !== b.role) return false;
+  if (a.id && b.id && a.id !== b.id) return false;
+  const x = getComparableContent(a);
+  const y = getComparableContent(b);
+  return x.length > 0 && y.length > 0 && (x.startsWith(y) || y.startsWith(x));
+}
+
+/**
+ * Pick the better of two versions of the same turn. The incoming copy wins
+ * unless it is a truncated prefix of what is already stored; either way,
+ * parts the page no longer shows the text of keep the stored text.
+ */
+function pickMessage(stored, incoming) {
+  incoming = Parts.mergeMessageParts(stored, incoming);
+  const s = normalizeContent(stored.content);
+  const i = normalizeContent(incoming.content);
+  if (s.length > i.length && s.startsWith(i)) {
+    // Still pick up ids/model the stored copy may lack
+    return { message: { ...incoming, ...stored, ...keepEarliestSeen(stored, incoming) }, updated: false };
+  }
+
+  const message = { ...stored, ...incoming, ...keepEarliestSeen(stored, incoming) };
+  // Unchanged content keeps the stored change time; a reload re-stamps it
+  if (s === i && stored.lastChangedAt) message.lastChangedAt = stored.lastChangedAt;
+  return { message, updated: s !== i };
+}
+
+/**
+ * firstSeenAt is per page load in the content script; across saves the
+ * earliest observation wins.
+ */
+function keepEarliestSeen(stored, incoming) {
+  const times = [stored.firstSeenAt, incoming.firstSeenAt].filter(Boolean).sort();
+  return times.length > 0 ? { firstSeenAt: times[0] } : {};
+}
+
+/**
+ * Merge a freshly scraped message list into the stored one.
+ *
+ * Scrapes are often incomplete: long threads are virtualized, pages render
+ * progressively and answers stream in. Messages are aligned (LCS on message
+ * identity), then:
+ *   - stored turns the page did not render are kept
+ *   - turns only on the page are inserted in place
+ *   - a turn extracted again by a newer content script matches its stored
+ *     copy (isReextractionOf), so changes to extraction read as updates
+ *   - unmatched turns on both sides at the same spot are paired when one is
+ *     a partial of the other; anything left is a real divergence (edited
+ *     prompt, regenerated answer) — the page wins and a conflict is reported.
+ *     In a saved conversation the replaced turns stay on as a sibling branch.
+ *
+ * @returns {{ messages: Object[], conflict: Object|null, stats: { kept, added, updated, replaced } }}
+ */
+function mergeMessages(stored, incoming) {
+  stored = stored || [];
+  incoming = incoming || [];
+  const stats = { kept: 0, added: 0, updated: 0, replaced: 0 };
+  let conflict = null;
+
+  if (stored.length === 0) {
+    stats.added = incoming.length;
+    return { messages: incoming.map((m, i) => ({ ...m, index: i })), conflict, stats };
+  }
+
+  // Trim the common prefix/suffix so the LCS only runs on the changed middle
+  let head = 0;
+  while (head < stored.length && head < incoming.length && isSameTurn(stored[head], incoming[head])) head++;
+  let tail = 0;
+  while (
+    tail < stored.length - head && tail < incoming.length - head &&
+    isSameTurn(stored[stored.length - 1 - tail], incoming[incoming.length - 1 - tail])
+  ) tail++;
+
+  const a = stored.slice(head, stored.length - tail);
+  const b = incoming.slice(head, incoming.length - tail);
+  const lcs = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = isSameTurn(a[i], b[j]) ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const merged = [];
+  const takeMatch = (s, m) => {
+    const picked = pickMessage(s, m);
+    if (picked.updated) stats.updated++;
+    else stats.kept++;
+    merged.push(picked.message);
+  };
+
+  // Resolve a run of unmatched stored (gapA) and incoming (gapB) turns
+  const flushGap = (gapA, gapB) => {
+    if (gapB.length === 0) {
+      stats.kept += gapA.length;
+      merged.push(...gapA);
+      return;
+    }
+    if (gapA.length === 0) {
+      stats.added += gapB.length;
+      merged.push(...gapB);
+      return;
+    }
+
+    let k = 0;
+    while (k < gapA.length && k < gapB.length && isPartialOf(gapA[k], gapB[k])) {
+      takeMatch(gapA[k], gapB[k]);
+      k++;
+    }
+
+    const restA = gapA.slice(k);
+    const restB = gapB.slice(k);
+    if (restA.length > 0 && restB.length > 0) {
+      if (!conflict) {
+        conflict = {
+          detectedAt: new Date().toISOString(),
+          index: merged.length,
+          storedCount: stored.length,
+          incomingCount: incoming.length,
         };
       }
+      stats.replaced += restA.length;
+      stats.added += restB.length;
+      merged.push(...restB);
+    } else if (restA.length > 0) {
+      stats.kept += restA.length;
+      merged.push(...restA);
+    } else {
+      stats.added += restB.length;
+      merged.push(...restB);
+    }
+  };
 
-      const putReq = store.put(toSave);
-      putReq.onsuccess = () => resolve(toSave);
-      putReq.onerror = () => reject(putReq.error);
-    };
+  for (let i = 0; i < head; i++) takeMatch(stored[i], incoming[i]);
 
-    getReq.onerror = () => reject(getReq.error);
-    tx.oncomplete = () => db.close();
+  let i = 0;
+  let j = 0;
+  let gapA = [];
+  let gapB = [];
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && isSameTurn(a[i], b[j]) && lcs[i][j] === lcs[i + 1][j + 1] + 1) {
+      flushGap(gapA, gapB);
+      gapA = [];
+      gapB = [];
+      takeMatch(a[i++], b[j++]);
+    } else if (j >= b.length || (i < a.length && lcs[i + 1][j] >= lcs[i][j + 1])) {
+      gapA.push(a[i++]);
+    } else {
+      gapB.push(b[j++]);
+    }
+  }
+  flushGap(gapA, gapB);
+
+  for (let k = tail; k > 0; k--) {
+    takeMatch(stored[stored.length - k], incoming[incoming.length - k]);
+  }
+
+  return { messages: merged.map((m, idx) => ({ ...m, index: idx })), conflict, stats };
+}
+
+/**
+ * Walk a message path into the tree: each message is matched against the
+ * children of the previous one (by its nodeId hint, then by identity) and
+ * added as a new branch when nothing matches. The end of the path becomes
+ * the active leaf. Mutates `tree`.
+ * @param {Object} [options]
+ * @param {boolean} [options.exact] - matched nodes take the path's message as
+ *   it is, instead of keeping a longer stored copy (pickMessage)
+ */
+function applyPath(tree, messages, options = {}) {
+  const now = new Date().toISOString();
+  const { mapping } = tree;
+  let parentId = null;
+
+  (messages || []).forEach((msg) => {
+    const { nodeId, index, ...message } = msg;
+    const siblings = parentId ? mapping[parentId].children : Tree.getRootIds(mapping);
+    let id = null;
+
+    if (nodeId && mapping[nodeId] && (mapping[nodeId].parent || null) === parentId) {
+      id = nodeId;
+    } else {
+      id = siblings.find((c) => isSameMessage(mapping[c].message, message)) || null;
+    }
+
+    if (id) {
+      mapping[id].message = options.exact ? message : pickMessage(mapping[id].message, message).message;
+    } else {
+      id = message.id && !mapping[message.id] ? message.id : newNodeId(mapping);
+      mapping[id] = { id, parent: parentId, children: [], message };
+      if (parentId) mapping[parentId].children.push(id);
+    }
+
+    mapping[id].seenAt = now;
+    parentId = id;
   });
+
+  tree.currentNode = parentId;
+  return tree;
+}
+
+function newNodeId(mapping) {
+  let id;
+  do {
+    id = 'node-' + Math.random().toString(36).slice(2, 10);
+  } while (mapping[id]);
+  return id;
 }
 
 /**
- * Get a single conversation by ID
+ * A divergence the page itself shows as a branch (a "< 2/3 >" navigator on
+ * the first differing turn) is expected; anything else is a conflict.
  */
-async function getConversation(id) {
-  const db = await openDB();
-  return new Promise((resolve, reject) => {
-    const tx = db.transaction(STORE_NAME, 'readonly');
-    const store = tx.objectStore(STORE_NAME);
-    const request = store.get(id);
+function isExpectedBranch(merge) {
+  if (!merge.conflict) return true;
+  const first = merge.messages[merge.conflict.index];
+  return !!(first && first.variants && first.variants.count > 1);
+}
 
-    request.onsuccess = () => resolve(request.result || null);
-    request.onerror = () => reject(request.error);
-    tx.oncomplete = () => db.close();
+/**
+ * Tags: trimmed, lowercase, without duplicates
+ */
+function normalizeTags(tags) {
+  const result = [];
+  (Array.isArray(tags) ? tags : []).forEach((tag) => {
+    const clean = String(tag || '').trim().replace(/\s+/g, ' ').toLowerCase();
+    if (clean && !result.includes(clean)) result.push(clean);
   });
+  return result;
 }
 
 /**
- * Get all conversations, sorted by updatedAt descending
+ * Organization fields (tags, folderId, pinnedAt, starredAt) are set in the
+ * viewer only. Content-script saves never carry them, so the stored ones
+ * win; archives may, and then tags are combined and a missing folder, pin
+ * or star is taken over.
  */
-async function getAllConversations() {
-  const db = await openDB();
-  return new Promise((resolve, reject) => {
-    const tx = db.transaction(STORE_NAME, 'readonly');
-    const store = tx.objectStore(STORE_NAME);
-    const request = store.getAll();
+function mergeOrganization(existing, incoming) {
+  const result = {};
+  const tags = normalizeTags([...(existing.tags || []), ...(incoming.tags || [])]);
+  if (tags.length > 0) result.tags = tags;
 
-    request.onsuccess = () => {
-      const results = request.result || [];
-      // Sort by updatedAt descending (most recent first)
-      results.sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
-      resolve(results);
-    };
-    request.onerror = () => reject(request.error);
-    tx.oncomplete = () => db.close();
+  ['folderId', 'pinnedAt', 'starredAt'].forEach((field) => {
+    const value = existing[field] || incoming[field];
+    if (value) result[field] = value;
   });
+  return result;
 }
 
 /**
- * Search conversations by query string (searches title and message content)
+ * Apply a changes object from updateConversations to one record
  */
-async function searchConversations(query) {
-  const all = await getAllConversations();
-  const q = query.toLowerCase().trim();
+function applyOrganizationChanges(record, changes, now) {
+  const next = { ...record };
+
+  if (Array.isArray(changes.tags)) next.tags = normalizeTags(changes.tags);
+  if (Array.isArray(changes.addTags)) next.tags = normalizeTags([...(next.tags || []), ...changes.addTags]);
+  if (Array.isArray(changes.removeTags)) {
+    const remove = normalizeTags(changes.removeTags);
+    next.tags = (next.tags || []).filter((tag) => !remove.includes(tag));
+  }
+  if (next.tags && next.tags.length === 0) delete next.tags;
+
+  // Unset fields are left out rather than null, so the indexes skip them
+  if (changes.folderId !== undefined) {
+    if (changes.folderId) next.folderId = changes.folderId;
+    else delete next.folderId;
+  }
+  if (changes.pinned !== undefined) {
+    if (!changes.pinned) delete next.pinnedAt;
+    else if (!next.pinnedAt) next.pinnedAt = now;
+  }
+  if (changes.starred !== undefined) {
+    if (!changes.starred) delete next.starredAt;
+    else if (!next.starredAt) next.starredAt = now;
+  }
+
+  return next;
+}
+
+/**
+ * Title the page gave a record, and how sure the scraper was of it.
+ * Titles without a confidence (older records, archives) count as real
+ * ones, unless they are the "Untitled Chat" placeholder.
+ */
+function getScrapedTitle(record) {
+  const title = (record.userTitle ? record.scrapedTitle : record.title) || '';
+  let confidence = TITLE_CONFIDENCE[record.titleConfidence] !== undefined ? record.titleConfidence : 'high';
+  if (!title || title === UNTITLED) confidence = 'none';
+  return { title, confidence };
+}
+
+/**
+ * Title fields after a save. A title the user set (userTitle) is shown
+ * over anything scraped; the scraped title underneath it is replaced only
+ * by one the scraper is at least as sure of, so a fallback guess such as
+ * "Untitled Chat" never overwrites a real title.
+ */
+function mergeTitle(existing, incoming) {
+  const stored = existing ? getScrapedTitle(existing) : null;
+  const next = incoming.title ? getScrapedTitle(incoming) : null;
+  let scraped = stored || { title: UNTITLED, confidence: 'none' };
+  if (next && (!stored || TITLE_CONFIDENCE[next.confidence] >= TITLE_CONFIDENCE[stored.confidence])) {
+    scraped = next;
+  }
+
+  const userTitle = (existing && existing.userTitle) || incoming.userTitle;
+  return applyTitle({ title: scraped.title, titleConfidence: scraped.confidence }, userTitle);
+}
+
+/**
+ * Title fields for a scraped title plus an optional user title: `title` is
+ * what is shown (and indexed); the scraped one moves to `scrapedTitle`
+ * while a user title is set.
+ */
+function applyTitle(record, userTitle) {
+  const { userTitle: previous, scrapedTitle, ...rest } = record;
+  const scraped = previous ? scrapedTitle || '' : record.title;
+  const clean = String(userTitle || '').trim().replace(/\s+/g, ' ');
+
+  if (!clean) return { ...rest, title: scraped || UNTITLED };
+  return { ...rest, title: clean, userTitle: clean, scrapedTitle: scraped };
+}
+
+/**
+ * Build the record to persist: tree fields in, derived messages out
+ */
+function toStoredRecord(record, tree) {
+  const { messages, ...rest } = record;
+  return { ...rest, mapping: tree.mapping, currentNode: tree.currentNode };
+}
+
+/**
+ * Merge one incoming conversation into the stores, inside the caller's
+ * readwrite transaction. Incoming messages are merged into the stored active
+ * branch (see mergeMessages), so a partial scrape never shrinks the archive,
+ * and a divergence becomes a new branch of the tree instead of overwriting
+ * the old one.
+ *
+ * @param {Object} [options]
+ * @param {Object[][]} [options.branches]     - extra message paths to add as branches first
+ * @param {string}     [options.updatedAt]    - timestamp to record instead of now
+ * @param {boolean}    [options.skipUnchanged] - do not write when nothing changed
+ * @returns {Object} hydrated record with a `merge` summary; `merge.changed` tells
+ *                   whether anything was written
+ */
+function mergeConversation(store, revisionStore, existingRaw, conversation, options = {}) {
+  const existing = existingRaw ? Tree.hydrateConversation(existingRaw) : null;
+  const updatedAt = options.updatedAt || new Date().toISOString();
+  let merge;
+  let tree;
+  let toSave;
+
+  if (existing) {
+    // Records saved before revisions existed: snapshot what we had first
+    if (!existing.contentHash && existing.messages && existing.messages.length > 0) {
+      recordRevision(revisionStore, existing, hashMessages(existing.messages), existing.updatedAt);
+    }
+
+    tree = Tree.getTree(existing);
+    const currentNode = tree.currentNode;
+    (options.branches || []).forEach((path) => applyPath(tree, path));
+    tree.currentNode = currentNode;
+
+    merge = mergeMessages(Tree.getPathMessages(tree.mapping, tree.currentNode), conversation.messages);
+    applyPath(tree, merge.messages);
+
+    // Merge: keep earliest savedAt, update messages and updatedAt
+    toSave = {
+      ...existing,
+      ...mergeOrganization(existing, conversation),
+      ...mergeTitle(existing, conversation),
+      updatedAt,
+      url: conversation.url || existing.url,
+    };
 
-  if (!q) return all;
+    // A conflict stays flagged until the user dismisses it in the viewer
+    if (!isExpectedBranch(merge)) toSave.conflict = merge.conflict;
+  } else {
+    tree = { mapping: {}, currentNode: null };
+    (options.branches || []).forEach((path) => applyPath(tree, path));
 
-  return all.filter((conv) => {
-    // Search in title
-    if (conv.title && conv.title.toLowerCase().includes(q)) return true;
+    merge = mergeMessages([], conversation.messages);
+    applyPath(tree, merge.messages);
+    toSave = {
+      ...conversation,
+      ...mergeTitle(null, conversation),
+      savedAt: conversation.savedAt || updatedAt,
+      updatedAt,
+    };
+  }
+
+  const messages = Tree.getPathMessages(tree.mapping, tree.currentNode);
+  toSave.contentHash = hashMessages(messages);
 
-    // Search in messages
-    if (conv.messages) {
-      return conv.messages.some(
-        (msg) => msg.content && msg.content.toLowerCase().includes(q)
-      );
+  const changed = !existing ||
+    existing.contentHash !== toSave.contentHash ||
+    Object.keys(tree.mapping).length !== Object.keys(Tree.getTree(existing).mapping).length ||
+    toSave.title !== existing.title ||
+    toSave.scrapedTitle !== existing.scrapedTitle ||
+    JSON.stringify(mergeOrganization(existing, {})) !== JSON.stringify(mergeOrganization(toSave, {}));
+
+  const stored = toStoredRecord(toSave, tree);
+  if (changed || !options.skipUnchanged) {
+    if (!existing || existing.contentHash !== toSave.contentHash) {
+      recordRevision(revisionStore, { ...toSave, messages }, toSave.contentHash, toSave.updatedAt);
     }
+    store.put(stored);
+    updateSearchIndex(store.transaction, existing, Tree.hydrateConversation(stored));
+  }
+
+  return {
+    ...Tree.hydrateConversation(stored),
+    merge: { ...merge.stats, conflict: !isExpectedBranch(merge), branched: !!merge.conflict, changed },
+  };
+}
+
+/**
+ * Why a save or import has to leave a conversation alone: 'ignored' when
+ * the user asked never to save it again, 'trash' while it is in the trash,
+ * null otherwise. Takes the finished get requests on both stores.
+ */
+function getSkipReason(ignoredReq, trashReq) {
+  if (ignoredReq.result) return 'ignored';
+  if (trashReq.result) return 'trash';
+  return null;
+}
+
+/**
+ * Save or update a conversation (see mergeConversation for how it merges).
+ * The returned record carries a `merge` summary of what changed. Chats in
+ * the trash or on the ignore list are not saved; the result is then just
+ * { id, skipped: 'trash' | 'ignored' }, so an open tab does not bring back
+ * a chat the user deleted.
+ * @param {Object} conversation - { id, source, title, url, messages[], savedAt, updatedAt }
+ */
+async function saveConversation(conversation) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(
+      [STORE_NAME, REVISIONS_STORE, TRASH_STORE, IGNORED_STORE, ...SEARCH_STORES],
+      'readwrite'
+    );
+    const store = tx.objectStore(STORE_NAME);
+    const revisionStore = tx.objectStore(REVISIONS_STORE);
+    let result;
+
+    const ignoredReq = tx.objectStore(IGNORED_STORE).get(conversation.id);
+    const trashReq = tx.objectStore(TRASH_STORE).get(conversation.id);
+
+    // Try to get existing conversation first to merge
+    const getReq = store.get(conversation.id);
+
+    getReq.onsuccess = () => {
+      const skipped = getSkipReason(ignoredReq, trashReq);
+      if (skipped) {
+        result = { id: conversation.id, skipped };
+        return;
+      }
+      try {
+        result = mergeConversation(store, revisionStore, getReq.result, conversation);
+      } catch (err) {
+        reject(err);
+        tx.abort();
+      }
+    };
 
-    return false;
+    getReq.onerror = () => reject(getReq.error);
+    tx.oncomplete = () => {
+      db.close();
+      resolve(result);
+    };
+    tx.onabort = () => {
+      db.close();
+      reject(tx.error || new Error('Transaction aborted'));
+    };
   });
 }
 
 /**
- * Delete a conversation by ID
+ * Dismiss the merge conflict flag on a conversation
  */
-async function deleteConversation(id) {
+async function clearConflict(id) {
   const db = await openDB();
   return new Promise((resolve, reject) => {
     const tx = db.transaction(STORE_NAME, 'readwrite');
     const store = tx.objectStore(STORE_NAME);
-    const request = store.delete(id);
+    let updated = null;
 
-    request.onsuccess = () => resolve(true);
-    request.onerror = () => reject(request.error);
-    tx.oncomplete = () => db.close();
+    const getReq = store.get(id);
+    getReq.onsuccess = () => {
+      if (!getReq.result) return;
+      const { conflict, ...rest } = getReq.result;
+      store.put(rest);
+      updated = Tree.hydrateConversation(rest);
+    };
+
+    tx.oncomplete = () => {
+      db.close();
+      resolve(updated);
+    };
+    tx.onabort = () => {
+      db.close();
+      reject(tx.error || new Error('Transaction aborted'));
+    };
+  });
+}
+
+/**
+ * Change the tags, folder, pin or star of several conversations at once.
+ * Organizing is not an edit: updatedAt and revisions are left alone.
+ *
+ * @param {string[]} ids
+ * @param {Object} changes
+ * @param {string[]}    [changes.tags]       - replace the tag list
+ * @param {string[]}    [changes.addTags]
+ * @param {string[]}    [changes.removeTags]
+ * @param {string|null} [changes.folderId]   - move into a folder; null for none
+ * @param {boolean}     [changes.pinned]
+ * @param {boolean}     [changes.starred]
+ * @returns {Promise<Object[]>} the updated conversations
+ */
+async function updateConversations(ids, changes) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction([STORE_NAME, FOLDERS_STORE], 'readwrite');
+    const store = tx.objectStore(STORE_NAME);
+    const now = new Date().toISOString();
+    const updated = [];
+
+    const apply = () => {
+      (ids || []).forEach((id) => {
+        const getReq = store.get(id);
+        getReq.onsuccess = () => {
+          if (!getReq.result) return;
+          const record = applyOrganizationChanges(getReq.result, changes || {}, now);
+          store.put(record);
+          updated.push(Tree.hydrateConversation(record));
+        };
+      });
+    };
+
+    if (changes && changes.folderId) {
+      const folderReq = tx.objectStore(FOLDERS_STORE).get(changes.folderId);
+      folderReq.onsuccess = () => {
+        if (!folderReq.result) {
+          reject(new Error('Folder not found'));
+          tx.abort();
+          return;
+        }
+        apply();
+      };
+    } else {
+      apply();
+    }
+
+    tx.oncomplete = () => {
+      db.close();
+      resolve(updated);
+    };
+    tx.onabort = () => {
+      db.close();
+      reject(tx.error || new Error('Transaction aborted'));
+    };
+  });
+}
+
+/**
+ * Rename a conversation in the archive. The new title is shown from then
+ * on, whatever the page calls the chat; an empty title goes back to the
+ * scraped one. Like organizing, this leaves updatedAt and revisions alone.
+ * @returns {Promise<Object|null>} the updated conversation
+ */
+async function setUserTitle(id, title) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction([STORE_NAME, ...SEARCH_STORES], 'readwrite');
+    const store = tx.objectStore(STORE_NAME);
+    let updated = null;
+
+    const getReq = store.get(id);
+    getReq.onsuccess = () => {
+      if (!getReq.result) {
+        reject(new Error('Conversation not found'));
+        tx.abort();
+        return;
+      }
+
+      const record = applyTitle(getReq.result, title);
+      store.put(record);
+      updated = Tree.hydrateConversation(record);
+      updateSearchIndex(tx, Tree.hydrateConversation(getReq.result), updated);
+    };
+
+    tx.oncomplete = () => {
+      db.close();
+      resolve(updated);
+    };
+    tx.onabort = () => {
+      db.close();
+      reject(tx.error || new Error('Transaction aborted'));
+    };
+  });
+}
+
+/**
+ * Get all folders ({ id, name, parentId, createdAt }), sorted by name.
+ * parentId is null for top-level folders.
+ */
+async function getFolders() {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(FOLDERS_STORE, 'readonly');
+    const request = tx.objectStore(FOLDERS_STORE).getAll();
+
+    request.onsuccess = () => {
+      const folders = request.result || [];
+      folders.sort((a, b) => a.name.localeCompare(b.name));
+      resolve(folders);
+    };
+    request.onerror = () => reject(request.error);
+    tx.oncomplete = () => db.close();
+    tx.onabort = () => {
+      db.close();
+      reject(tx.error || new Error('Transaction aborted'));
+    };
+  });
+}
+
+/**
+ * Create a folder, or rename / move an existing one (when `id` is given).
+ * A folder cannot be moved below itself.
+ * @param {{ id?: string, name: string, parentId?: string|null }} folder
+ */
+async function saveFolder(folder) {
+  const name = String((folder && folder.name) || '').trim();
+  if (!name) throw new Error('Folder name is required');
+
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(FOLDERS_STORE, 'readwrite');
+    const store = tx.objectStore(FOLDERS_STORE);
+    const allReq = store.getAll();
+    let saved = null;
+
+    allReq.onsuccess = () => {
+      const byId = new Map((allReq.result || []).map((f) => [f.id, f]));
+      const existing = folder.id ? byId.get(folder.id) : null;
+      if (folder.id && !existing) {
+        reject(new Error('Folder not found'));
+        tx.abort();
+        return;
+      }
+
+      const id = existing ? existing.id : newFolderId(byId);
+      const parentId = folder.parentId !== undefined ? folder.parentId || null : (existing ? existing.parentId : null);
+
+      // Walk up from the new parent: reaching the folder itself is a cycle
+      for (let p = parentId; p; p = byId.has(p) ? byId.get(p).parentId : null) {
+        if (!byId.has(p)) {
+          reject(new Error('Parent folder not found'));
+          tx.abort();
+          return;
+        }
+        if (p === id) {
+          reject(new Error('A folder cannot be moved into itself'));
+          tx.abort();
+          return;
+        }
+      }
+
+      saved = { ...existing, id, name, parentId, createdAt: existing ? existing.createdAt : new Date().toISOString() };
+      store.put(saved);
+    };
+
+    tx.oncomplete = () => {
+      db.close();
+      resolve(saved);
+    };
+    tx.onabort = () => {
+      db.close();
+      reject(tx.error || new Error('Transaction aborted'));
+    };
+  });
+}
+
+function newFolderId(byId) {
+  let id;
+  do {
+    id = 'folder-' + Math.random().toString(36).slice(2, 10);
+  } while (byId.has(id));
+  return id;
+}
+
+/**
+ * Delete a folder. Its subfolders and conversations move up to its parent
+ * (or to the top level / no folder), so nothing is lost.
+ */
+async function deleteFolder(id) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction([FOLDERS_STORE, STORE_NAME], 'readwrite');
+    const folders = tx.objectStore(FOLDERS_STORE);
+    const store = tx.objectStore(STORE_NAME);
+
+    const getReq = folders.get(id);
+    getReq.onsuccess = () => {
+      const folder = getReq.result;
+      if (!folder) return;
+      const parentId = folder.parentId || null;
+
+      const childReq = folders.index('parentId').getAll(id);
+      childReq.onsuccess = () => {
+        (childReq.result || []).forEach((child) => folders.put({ ...child, parentId }));
+      };
+
+      const convReq = store.index('folderId').getAll(id);
+      convReq.onsuccess = () => {
+        (convReq.result || []).forEach((conv) => store.put(applyOrganizationChanges(conv, { folderId: parentId })));
+      };
+
+      folders.delete(id);
+    };
+
+    tx.oncomplete = () => {
+      db.close();
+      resolve(true);
+    };
+    tx.onabort = () => {
+      db.close();
+      reject(tx.error || new Error('Transaction aborted'));
+    };
+  });
+}
+
+/**
+ * Annotations of one conversation, or of every conversation when no id is
+ * given, oldest first. Highlights carry the message `nodeId` they belong to;
+ * conversation-level notes have none.
+ */
+async function getAnnotations(conversationId) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(ANNOTATIONS_STORE, 'readonly');
+    const store = tx.objectStore(ANNOTATIONS_STORE);
+    const request = conversationId
+      ? store.index('conversationId').getAll(conversationId)
+      : store.getAll();
+
+    request.onsuccess = () => {
+      const annotations = request.result || [];
+      annotations.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+      resolve(annotations);
+    };
+    request.onerror = () => reject(request.error);
+    tx.oncomplete = () => db.close();
+    tx.onabort = () => {
+      db.close();
+      reject(tx.error || new Error('Transaction aborted'));
+    };
+  });
+}
+
+/**
+ * Create an annotation, or change the note of an existing one (when `id`
+ * is given; its anchor stays as it was).
+ *
+ * A highlight is anchored by the message's tree node id, which merges keep
+ * stable, plus the quoted text with some context on either side and its
+ * offset in the message text, so it can be found again after a re-render.
+ * @param {{ id?, conversationId, nodeId?, quote?, prefix?, suffix?, start?, note? }} annotation
+ */
+async function saveAnnotation(annotation) {
+  const input = annotation || {};
+  const note = String(input.note || '').trim();
+
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction([ANNOTATIONS_STORE, STORE_NAME], 'readwrite');
+    const store = tx.objectStore(ANNOTATIONS_STORE);
+    const now = new Date().toISOString();
+    let saved = null;
+
+    const fail = (message) => {
+      reject(new Error(message));
+      tx.abort();
+    };
+
+    if (input.id) {
+      const getReq = store.get(input.id);
+      getReq.onsuccess = () => {
+        if (!getReq.result) return fail('Annotation not found');
+        if (!note && getReq.result.type === 'note') return fail('Note text is required');
+        saved = { ...getReq.result, note, updatedAt: now };
+        store.put(saved);
+      };
+    } else {
+      const convReq = tx.objectStore(STORE_NAME).get(input.conversationId || '');
+      convReq.onsuccess = () => {
+        if (!convReq.result) return fail('Conversation not found');
+
+        saved = { conversationId: input.conversationId, note, createdAt: now, updatedAt: now };
+        if (input.nodeId) {
+          if (!input.quote) return fail('Highlight text is required');
+          Object.assign(saved, {
+            type: 'highlight',
+            nodeId: input.nodeId,
+            quote: String(input.quote),
+            prefix: String(input.prefix || ''),
+            suffix: String(input.suffix || ''),
+            start: Number.isInteger(input.start) ? input.start : 0,
+          });
+        } else {
+          if (!note) return fail('Note text is required');
+          saved.type = 'note';
+        }
+        saved.id = 'ann-' + Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+        store.put(saved);
+      };
+    }
+
+    tx.oncomplete = () => {
+      db.close();
+      resolve(saved);
+    };
+    tx.onabort = () => {
+      db.close();
+      reject(tx.error || new Error('Transaction aborted'));
+    };
+  });
+}
+
+/**
+ * Delete an annotation by ID
+ */
+async function deleteAnnotation(id) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(ANNOTATIONS_STORE, 'readwrite');
+    tx.objectStore(ANNOTATIONS_STORE).delete(id);
+
+    tx.oncomplete = () => {
+      db.close();
+      resolve(true);
+    };
+    tx.onabort = () => {
+      db.close();
+      reject(tx.error || new Error('Transaction aborted'));
+    };
+  });
+}
+
+/**
+ * List the revisions of a conversation, newest first.
+ * Returns summaries only ({ id, hash, title, messageCount, createdAt });
+ * use getRevision for the full message list.
+ */
+async function getRevisions(conversationId) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(REVISIONS_STORE, 'readonly');
+    const index = tx.objectStore(REVISIONS_STORE).index('conversationId');
+    const request = index.getAll(conversationId);
+
+    request.onsuccess = () => {
+      const results = (request.result || []).map(({ messages, ...summary }) => summary);
+      results.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+      resolve(results);
+    };
+    request.onerror = () => reject(request.error);
+    tx.oncomplete = () => db.close();
+    tx.onabort = () => {
+      db.close();
+      reject(tx.error || new Error('Transaction aborted'));
+    };
+  });
+}
+
+/**
+ * Get a single revision (including its messages) by ID
+ */
+async function getRevision(id) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(REVISIONS_STORE, 'readonly');
+    const request = tx.objectStore(REVISIONS_STORE).get(id);
+
+    request.onsuccess = () => resolve(request.result || null);
+    request.onerror = () => reject(request.error);
+    tx.oncomplete = () => db.close();
+    tx.onabort = () => {
+      db.close();
+      reject(tx.error || new Error('Transaction aborted'));
+    };
+  });
+}
+
+/**
+ * Make a past revision the current version of its conversation.
+ * The revision itself is kept, so the timeline is never rewritten.
+ * Only the messages are restored: the title, folder, tags and any conflict
+ * flag stay as they are.
+ */
+async function restoreRevision(revisionId) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction([STORE_NAME, REVISIONS_STORE, ...SEARCH_STORES], 'readwrite');
+    const store = tx.objectStore(STORE_NAME);
+    const revisionStore = tx.objectStore(REVISIONS_STORE);
+    let restored = null;
+
+    const revReq = revisionStore.get(revisionId);
+    revReq.onsuccess = () => {
+      const revision = revReq.result;
+      if (!revision) {
+        reject(new Error('Revision not found'));
+        tx.abort();
+        return;
+      }
+
+      const convReq = store.get(revision.conversationId);
+      convReq.onsuccess = () => {
+        const existing = convReq.result;
+        if (!existing) {
+          reject(new Error('Conversation not found'));
+          tx.abort();
+          return;
+        }
+
+        // The revision's messages become the active branch of the tree, as
+        // they were: a turn extended since goes back to its text back then
+        const tree = applyPath(Tree.getTree(existing), revision.messages, { exact: true });
+        const stored = toStoredRecord({
+          ...existing,
+          contentHash: revision.hash,
+          restoredFrom: revision.id,
+          updatedAt: new Date().toISOString(),
+        }, tree);
+        store.put(stored);
+        restored = Tree.hydrateConversation(stored);
+        updateSearchIndex(tx, Tree.hydrateConversation(existing), restored);
+      };
+    };
+
+    tx.oncomplete = () => {
+      db.close();
+      resolve(restored);
+    };
+    tx.onabort = () => {
+      db.close();
+      reject(tx.error || new Error('Transaction aborted'));
+    };
+  });
+}
+
+/**
+ * Get a single conversation by ID
+ */
+async function getConversation(id) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE_NAME, 'readonly');
+    const store = tx.objectStore(STORE_NAME);
+    const request = store.get(id);
+
+    request.onsuccess = () => resolve(request.result ? Tree.hydrateConversation(request.result) : null);
+    request.onerror = () => reject(request.error);
+    tx.oncomplete = () => db.close();
+    tx.onabort = () => {
+      db.close();
+      reject(tx.error || new Error('Transaction aborted'));
+    };
+  });
+}
+
+/**
+ * Get all conversations, sorted by updatedAt descending
+ */
+async function getAllConversations() {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE_NAME, 'readonly');
+    const store = tx.objectStore(STORE_NAME);
+    const request = store.getAll();
+
+    request.onsuccess = () => {
+      const results = (request.result || []).map(Tree.hydrateConversation);
+      // Sort by updatedAt descending (most recent first)
+      results.sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+      resolve(results);
+    };
+    request.onerror = () => reject(request.error);
+    tx.oncomplete = () => db.close();
+    tx.onabort = () => {
+      db.close();
+      reject(tx.error || new Error('Transaction aborted'));
+    };
+  });
+}
+
+/**
+ * Search conversations with the query language of lib/search.js
+ * (parseSearchQuery). Text clauses narrow the candidates through the
+ * full-text index and rank them (BM25; most recently updated first on ties
+ * and for filter-only queries); filters, exclusions and regexes are then
+ * checked against the stored records.
+ * @returns {Promise<{ id, score, matches: { index, nodeId }[], hitCount, snippet }[]>}
+ *   `matches` are the messages of the active branch that matched; `hitCount`
+ *   and `snippet` come from summarizeHits in lib/search.js
+ */
+async function searchConversations(query) {
+  const parsed = Search.parseSearchQuery(query);
+  if (Search.isEmptyQuery(parsed)) return [];
+
+  const clauses = parsed.clauses.filter((clause) => !clause.negate);
+  const db = await openDB();
+  try {
+    const ranked = clauses.length > 0 ? await queryIndex(db, clauses) : null;
+    const records = await getSearchCandidates(db, ranked ? ranked.map((hit) => hit.id) : null);
+    const hits = ranked || records
+      .map((record) => ({ id: record.id, score: 0, updatedAt: record.updatedAt || record.savedAt || '' }))
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+
+    const byId = new Map(records.map((record) => [record.id, record]));
+    return hits.reduce((results, hit) => {
+      const conversation = byId.has(hit.id) ? Tree.hydrateConversation(byId.get(hit.id)) : null;
+      const match = conversation && Search.matchConversation(conversation, parsed);
+      if (match) {
+        results.push({
+          id: hit.id,
+          score: hit.score,
+          matches: match.messages,
+          ...Search.summarizeHits(conversation, parsed, match.messages),
+        });
+      }
+      return results;
+    }, []);
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * Rank the conversations that satisfy every (positive) text clause
+ */
+function queryIndex(db, clauses) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(SEARCH_STORES, 'readonly');
+    const postingStore = tx.objectStore(POSTINGS_STORE);
+    const docsReq = tx.objectStore(SEARCH_DOCS_STORE).getAll();
+    const postings = new Map(); // '=term' (whole word) or '*term' (prefix) → postings
+
+    clauses.forEach((clause) => {
+      clause.terms.forEach((term) => {
+        const key = (clause.prefix ? '*' : '=') + term;
+        if (postings.has(key)) return;
+        postings.set(key, []);
+
+        // Keys are [term, conversationId]: strings sort before arrays, so
+        // [term, []] bounds every conversation id of one term
+        const range = clause.prefix
+          ? IDBKeyRange.bound([term], [term + '\uffff'], false, true)
+          : IDBKeyRange.bound([term], [term, []]);
+        const req = postingStore.getAll(range);
+        req.onsuccess = () => postings.set(key, req.result || []);
+      });
+    });
+
+    tx.oncomplete = () => resolve(rankSearchResults(clauses, postings, docsReq.result || []));
+    tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+  });
+}
+
+/**
+ * Stored records to check filters against: the given ids, or every
+ * conversation when the query had no text to look up
+ */
+function getSearchCandidates(db, ids) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE_NAME, 'readonly');
+    const store = tx.objectStore(STORE_NAME);
+    const records = [];
+
+    if (ids) {
+      ids.forEach((id) => {
+        const req = store.get(id);
+        req.onsuccess = () => {
+          if (req.result) records.push(req.result);
+        };
+      });
+    } else {
+      const req = store.getAll();
+      req.onsuccess = () => records.push(...(req.result || []));
+    }
+
+    tx.oncomplete = () => resolve(records);
+    tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+  });
+}
+
+/**
+ * Score every document that matches all clauses
+ */
+function rankSearchResults(clauses, postings, docs) {
+  const docInfo = new Map(docs.map((doc) => [doc.id, doc]));
+  const stats = {
+    docCount: docs.length,
+    avgLength: docs.reduce((sum, doc) => sum + doc.length, 0) / (docs.length || 1),
+  };
+
+  const score = (posting, docFrequency) => {
+    const doc = docInfo.get(posting.conversationId);
+    return Search.scorePosting(posting, docFrequency, doc ? doc.length : stats.avgLength, stats);
+  };
+
+  let totals = null;
+  for (const clause of clauses) {
+    const clauseScores = clause.type === 'phrase'
+      ? scorePhraseClause(clause, postings, score)
+      : scoreTermClause(clause, postings, score);
+
+    if (totals === null) {
+      totals = clauseScores;
+    } else {
+      const next = new Map();
+      totals.forEach((total, id) => {
+        if (clauseScores.has(id)) next.set(id, total + clauseScores.get(id));
+      });
+      totals = next;
+    }
+    if (totals.size === 0) break;
+  }
+
+  const updatedAt = (id) => (docInfo.get(id) || {}).updatedAt || '';
+  return Array.from(totals, ([id, total]) => ({ id, score: total })).sort((a, b) =>
+    b.score - a.score || updatedAt(b.id).localeCompare(updatedAt(a.id))
+  );
+}
+
+/**
+ * Word (or prefix) clause: a document scores its best-matching term
+ */
+function scoreTermClause(clause, postings, score) {
+  const [term] = clause.terms;
+  const matches = postings.get((clause.prefix ? '*' : '=') + term) || [];
+  const docFrequency = new Map();
+  matches.forEach((p) => docFrequency.set(p.term, (docFrequency.get(p.term) || 0) + 1));
+
+  const scores = new Map();
+  matches.forEach((p) => {
+    const weight = p.term === term ? 1 : Search.PREFIX_WEIGHT;
+    const value = score(p, docFrequency.get(p.term)) * weight;
+    if (value > (scores.get(p.conversationId) || 0)) scores.set(p.conversationId, value);
+  });
+  return scores;
+}
+
+/**
+ * Phrase clause: documents with all the words, adjacent and in order
+ */
+function scorePhraseClause(clause, postings, score) {
+  const lists = clause.terms.map((term) => postings.get('=' + term) || []);
+  const byDoc = lists.map((list) => new Map(list.map((p) => [p.conversationId, p])));
+
+  const scores = new Map();
+  byDoc[0].forEach((_, id) => {
+    const docPostings = byDoc.map((map) => map.get(id));
+    if (docPostings.some((p) => !p)) return;
+    if (!Search.hasPhrase(docPostings.map((p) => p.positions))) return;
+
+    scores.set(id, docPostings.reduce((sum, p, i) => sum + score(p, lists[i].length), 0));
+  });
+  return scores;
+}
+
+/**
+ * Remove a conversation with its revisions, annotations and search entries,
+ * inside the caller's readwrite transaction
+ */
+function removeConversationData(tx, id) {
+  tx.objectStore(STORE_NAME).delete(id);
+  removeFromSearchIndex(tx, id);
+
+  [REVISIONS_STORE, ANNOTATIONS_STORE].forEach((name) => {
+    const store = tx.objectStore(name);
+    const keysReq = store.index('conversationId').getAllKeys(id);
+    keysReq.onsuccess = () => {
+      (keysReq.result || []).forEach((key) => store.delete(key));
+    };
+  });
+}
+
+/**
+ * Move conversations to the trash. Each trash entry keeps the stored
+ * record with its revisions and annotations, so a restore brings all of it
+ * back; until then the chat is out of the list, the search index and
+ * exports, and saves of it are skipped.
+ * @returns {Promise<string[]>} ids that were moved
+ */
+async function trashConversations(ids) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(
+      [STORE_NAME, REVISIONS_STORE, ANNOTATIONS_STORE, TRASH_STORE, ...SEARCH_STORES],
+      'readwrite'
+    );
+    const store = tx.objectStore(STORE_NAME);
+    const deletedAt = new Date().toISOString();
+    const trashed = [];
+
+    (ids || []).forEach((id) => {
+      const getReq = store.get(id);
+      getReq.onsuccess = () => {
+        if (!getReq.result) return;
+
+        const revisionsReq = tx.objectStore(REVISIONS_STORE).index('conversationId').getAll(id);
+        const annotationsReq = tx.objectStore(ANNOTATIONS_STORE).index('conversationId').getAll(id);
+        // Requests complete in order: the revisions are in by now
+        annotationsReq.onsuccess = () => {
+          tx.objectStore(TRASH_STORE).put({
+            id,
+            deletedAt,
+            conversation: getReq.result,
+            revisions: revisionsReq.result || [],
+            annotations: annotationsReq.result || [],
+          });
+          removeConversationData(tx, id);
+          trashed.push(id);
+        };
+      };
+    });
+
+    tx.oncomplete = () => {
+      db.close();
+      resolve(trashed);
+    };
+    tx.onabort = () => {
+      db.close();
+      reject(tx.error || new Error('Transaction aborted'));
+    };
+  });
+}
+
+/**
+ * Get the trash, most recently deleted first, as summaries:
+ * { id, deletedAt, source, title, url, updatedAt, messageCount }
+ */
+async function getTrash() {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(TRASH_STORE, 'readonly');
+    const request = tx.objectStore(TRASH_STORE).getAll();
+
+    request.onsuccess = () => {
+      const trash = (request.result || []).map((entry) => {
+        const conv = Tree.hydrateConversation(entry.conversation);
+        return {
+          id: entry.id,
+          deletedAt: entry.deletedAt,
+          source: conv.source,
+          title: conv.title,
+          url: conv.url,
+          updatedAt: conv.updatedAt,
+          messageCount: (conv.messages || []).length,
+        };
+      });
+      trash.sort((a, b) => (b.deletedAt || '').localeCompare(a.deletedAt || ''));
+      resolve(trash);
+    };
+    request.onerror = () => reject(request.error);
+    tx.oncomplete = () => db.close();
+    tx.onabort = () => {
+      db.close();
+      reject(tx.error || new Error('Transaction aborted'));
+    };
+  });
+}
+
+/**
+ * Put trashed conversations back, with their revisions and annotations.
+ * A chat whose folder was deleted meanwhile comes back unfiled.
+ * @returns {Promise<Object[]>} the restored conversations
+ */
+async function restoreConversations(ids) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(
+      [STORE_NAME, REVISIONS_STORE, ANNOTATIONS_STORE, FOLDERS_STORE, TRASH_STORE, ...SEARCH_STORES],
+      'readwrite'
+    );
+    const trashStore = tx.objectStore(TRASH_STORE);
+    const restored = [];
+
+    (ids || []).forEach((id) => {
+      const getReq = trashStore.get(id);
+      getReq.onsuccess = () => {
+        const entry = getReq.result;
+        if (!entry) return;
+
+        const restore = (record) => {
+          tx.objectStore(STORE_NAME).put(record);
+          entry.revisions.forEach((rev) => tx.objectStore(REVISIONS_STORE).put(rev));
+          entry.annotations.forEach((ann) => tx.objectStore(ANNOTATIONS_STORE).put(ann));
+          updateSearchIndex(tx, null, Tree.hydrateConversation(record));
+          trashStore.delete(id);
+          restored.push(Tree.hydrateConversation(record));
+        };
+
+        const record = entry.conversation;
+        if (!record.folderId) {
+          restore(record);
+          return;
+        }
+        const folderReq = tx.objectStore(FOLDERS_STORE).get(record.folderId);
+        folderReq.onsuccess = () => {
+          if (folderReq.result) {
+            restore(record);
+            return;
+          }
+          const { folderId, ...unfiled } = record;
+          restore(unfiled);
+        };
+      };
+    });
+
+    tx.oncomplete = () => {
+      db.close();
+      resolve(restored);
+    };
+    tx.onabort = () => {
+      db.close();
+      reject(tx.error || new Error('Transaction aborted'));
+    };
+  });
+}
+
+/**
+ * Delete trash entries for good: those deleted before `before` (ISO
+ * timestamp), or the whole trash when it is omitted
+ * @returns {Promise<number>} how many were purged
+ */
+async function purgeTrash(before) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(TRASH_STORE, 'readwrite');
+    const index = tx.objectStore(TRASH_STORE).index('deletedAt');
+    const range = before ? IDBKeyRange.upperBound(before, true) : null;
+    let purged = 0;
+
+    const cursorReq = index.openCursor(range);
+    cursorReq.onsuccess = () => {
+      const cursor = cursorReq.result;
+      if (!cursor) return;
+      cursor.delete();
+      purged++;
+      cursor.continue();
+    };
+
+    tx.oncomplete = () => {
+      db.close();
+      resolve(purged);
+    };
+    tx.onabort = () => {
+      db.close();
+      reject(tx.error || new Error('Transaction aborted'));
+    };
+  });
+}
+
+/**
+ * Delete a conversation (and its revision history and annotations) by ID,
+ * for good
+ */
+async function deleteConversation(id) {
+  return deleteConversations([id]);
+}
+
+/**
+ * Delete several conversations for good, with their revisions and
+ * annotations, in one transaction — whether they are in the archive or in
+ * the trash
+ */
+async function deleteConversations(ids) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(
+      [STORE_NAME, REVISIONS_STORE, ANNOTATIONS_STORE, TRASH_STORE, ...SEARCH_STORES],
+      'readwrite'
+    );
+
+    (ids || []).forEach((id) => {
+      removeConversationData(tx, id);
+      tx.objectStore(TRASH_STORE).delete(id);
+    });
+
+    tx.oncomplete = () => {
+      db.close();
+      resolve(true);
+    };
+    tx.onabort = () => {
+      db.close();
+      reject(tx.error || new Error('Transaction aborted'));
+    };
+  });
+}
+
+/**
+ * Delete conversations for good and never save them again: each leaves a
+ * tombstone ({ id, source, title, url, ignoredAt }) that saves and imports
+ * check, until unignoreConversations removes it
+ * @returns {Promise<Object[]>} the tombstones
+ */
+async function ignoreConversations(ids) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(
+      [STORE_NAME, REVISIONS_STORE, ANNOTATIONS_STORE, TRASH_STORE, IGNORED_STORE, ...SEARCH_STORES],
+      'readwrite'
+    );
+    const ignoredAt = new Date().toISOString();
+    const tombstones = [];
+
+    (ids || []).forEach((id) => {
+      const convReq = tx.objectStore(STORE_NAME).get(id);
+      const trashReq = tx.objectStore(TRASH_STORE).get(id);
+      trashReq.onsuccess = () => {
+        const record = convReq.result || (trashReq.result && trashReq.result.conversation) || {};
+        const tombstone = { id, ignoredAt };
+        ['source', 'title', 'url'].forEach((key) => {
+          if (record[key]) tombstone[key] = record[key];
+        });
+
+        tx.objectStore(IGNORED_STORE).put(tombstone);
+        removeConversationData(tx, id);
+        tx.objectStore(TRASH_STORE).delete(id);
+        tombstones.push(tombstone);
+      };
+    });
+
+    tx.oncomplete = () => {
+      db.close();
+      resolve(tombstones);
+    };
+    tx.onabort = () => {
+      db.close();
+      reject(tx.error || new Error('Transaction aborted'));
+    };
+  });
+}
+
+/**
+ * Get the ignore list, most recently ignored first
+ */
+async function getIgnored() {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(IGNORED_STORE, 'readonly');
+    const request = tx.objectStore(IGNORED_STORE).getAll();
+
+    request.onsuccess = () => {
+      const ignored = request.result || [];
+      ignored.sort((a, b) => (b.ignoredAt || '').localeCompare(a.ignoredAt || ''));
+      resolve(ignored);
+    };
+    request.onerror = () => reject(request.error);
+    tx.oncomplete = () => db.close();
+    tx.onabort = () => {
+      db.close();
+      reject(tx.error || new Error('Transaction aborted'));
+    };
+  });
+}
+
+/**
+ * Let ignored conversations be saved again
+ */
+async function unignoreConversations(ids) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(IGNORED_STORE, 'readwrite');
+    (ids || []).forEach((id) => tx.objectStore(IGNORED_STORE).delete(id));
+
+    tx.oncomplete = () => {
+      db.close();
+      resolve(true);
+    };
+    tx.onabort = () => {
+      db.close();
+      reject(tx.error || new Error('Transaction aborted'));
+    };
+  });
+}
+
+/**
+ * Ids of the stored assets fetched from these sources (see
+ * getAssetSourceKey in lib/assets.js)
+ * @returns {Promise<Map<string, string>>} source key → asset id
+ */
+async function findAssets(sourceKeys) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(ASSETS_STORE, 'readonly');
+    const index = tx.objectStore(ASSETS_STORE).index('sourceKeys');
+    const found = new Map();
+
+    (sourceKeys || []).forEach((key) => {
+      const req = index.getKey(key);
+      req.onsuccess = () => {
+        if (req.result) found.set(key, req.result);
+      };
+    });
+
+    tx.oncomplete = () => {
+      db.close();
+      resolve(found);
+    };
+    tx.onabort = () => {
+      db.close();
+      reject(tx.error || new Error('Transaction aborted'));
+    };
+  });
+}
+
+/**
+ * Store an image fetched from `sourceKey`. Assets are keyed by a hash of
+ * their bytes, so an image seen under several URLs is stored once and
+ * remembers each of them.
+ * @param {Blob} blob
+ * @returns {Promise<string>} the asset id
+ */
+async function saveAsset(blob, sourceKey) {
+  const id = await hashAsset(blob);
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(ASSETS_STORE, 'readwrite');
+    const store = tx.objectStore(ASSETS_STORE);
+
+    const getReq = store.get(id);
+    getReq.onsuccess = () => {
+      const existing = getReq.result;
+      if (existing) {
+        if (!existing.sourceKeys.includes(sourceKey)) {
+          store.put({ ...existing, sourceKeys: [...existing.sourceKeys, sourceKey] });
+        }
+        return;
+      }
+      store.put({
+        id,
+        blob,
+        type: blob.type,
+        size: blob.size,
+        sourceKeys: [sourceKey],
+        savedAt: new Date().toISOString(),
+      });
+    };
+
+    tx.oncomplete = () => {
+      db.close();
+      resolve(id);
+    };
+    tx.onabort = () => {
+      db.close();
+      reject(tx.error || new Error('Transaction aborted'));
+    };
+  });
+}
+
+async function hashAsset(blob) {
+  const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', await blob.arrayBuffer()));
+  return 'asset-' + Array.from(digest.slice(0, 16), (b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Get stored assets ({ id, blob, type, size, sourceKeys, savedAt }) by id;
+ * ids that are not stored are left out
+ */
+async function getAssets(ids) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(ASSETS_STORE, 'readonly');
+    const assets = [];
+
+    (ids || []).forEach((id) => {
+      const req = tx.objectStore(ASSETS_STORE).get(id);
+      req.onsuccess = () => {
+        if (req.result) assets.push(req.result);
+      };
+    });
+
+    tx.oncomplete = () => {
+      db.close();
+      resolve(assets);
+    };
+    tx.onabort = () => {
+      db.close();
+      reject(tx.error || new Error('Transaction aborted'));
+    };
+  });
+}
+
+/**
+ * Delete the assets no conversation, revision or trash entry references
+ * any more. Assets stored within the last hour are kept, since a save may
+ * be about to reference them.
+ * @returns {Promise<number>} how many were deleted
+ */
+async function pruneAssets() {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction([STORE_NAME, REVISIONS_STORE, TRASH_STORE, ASSETS_STORE], 'readwrite');
+    const keepAfter = new Date(Date.now() - 3600000).toISOString();
+    const used = new Set();
+    let pruned = 0;
+
+    const requests = [STORE_NAME, REVISIONS_STORE, TRASH_STORE].map((name) => tx.objectStore(name).getAll());
+    requests.forEach((req) => {
+      req.onsuccess = () => {
+        (req.result || []).forEach((record) => {
+          Assets.getAssetRefs(JSON.stringify(record)).forEach((id) => used.add(id));
+        });
+      };
+    });
+
+    // Requests complete in order: every reference is collected by now
+    const cursorReq = tx.objectStore(ASSETS_STORE).openCursor();
+    cursorReq.onsuccess = () => {
+      const cursor = cursorReq.result;
+      if (!cursor) return;
+      if (!used.has(cursor.key) && cursor.value.savedAt < keepAfter) {
+        cursor.delete();
+        pruned++;
+      }
+      cursor.continue();
+    };
+
+    tx.oncomplete = () => {
+      db.close();
+      resolve(pruned);
+    };
+    tx.onabort = () => {
+      db.close();
+      reject(tx.error || new Error('Transaction aborted'));
+    };
+  });
+}
+
+/**
+ * Export the database as a versioned JSON-serializable bundle.
+ * Conversations are exported as stored (message trees), with their revisions,
+ * annotations and the images they show (base64 in `assets`). Pass `ids` to
+ * export only those conversations; the bundle then carries just the folders
+ * they are filed in (and their parents).
+ * @param {string[]} [ids]
+ */
+async function exportArchive(ids) {
+  const db = await openDB();
+  const bundle = await new Promise((resolve, reject) => {
+    const tx = db.transaction([STORE_NAME, REVISIONS_STORE, FOLDERS_STORE, ANNOTATIONS_STORE], 'readonly');
+    const bundle = {
+      format: ARCHIVE_FORMAT,
+      schemaVersion: ARCHIVE_SCHEMA_VERSION,
+      exportedAt: new Date().toISOString(),
+      conversations: [],
+      revisions: [],
+      folders: [],
+      annotations: [],
+    };
+
+    const folderReq = tx.objectStore(FOLDERS_STORE).getAll();
+    if (ids) {
+      ids.forEach((id) => {
+        const convReq = tx.objectStore(STORE_NAME).get(id);
+        convReq.onsuccess = () => {
+          if (convReq.result) bundle.conversations.push(convReq.result);
+        };
+        [[REVISIONS_STORE, bundle.revisions], [ANNOTATIONS_STORE, bundle.annotations]].forEach(([name, list]) => {
+          const req = tx.objectStore(name).index('conversationId').getAll(id);
+          req.onsuccess = () => list.push(...(req.result || []));
+        });
+      });
+    } else {
+      const convReq = tx.objectStore(STORE_NAME).getAll();
+      const revReq = tx.objectStore(REVISIONS_STORE).getAll();
+      const annotationReq = tx.objectStore(ANNOTATIONS_STORE).getAll();
+      convReq.onsuccess = () => { bundle.conversations = convReq.result || []; };
+      revReq.onsuccess = () => { bundle.revisions = revReq.result || []; };
+      annotationReq.onsuccess = () => { bundle.annotations = annotationReq.result || []; };
+    }
+
+    tx.oncomplete = () => {
+      db.close();
+      const folders = folderReq.result || [];
+      bundle.folders = ids ? foldersUsedBy(bundle.conversations, folders) : folders;
+      resolve(bundle);
+    };
+    tx.onabort = () => {
+      db.close();
+      reject(tx.error || new Error('Transaction aborted'));
+    };
+  });
+
+  const assets = await getAssets(Assets.getAssetRefs(JSON.stringify([bundle.conversations, bundle.revisions])));
+  bundle.assets = [];
+  for (const { blob, ...asset } of assets) {
+    bundle.assets.push({ ...asset, data: await blobToBase64(blob) });
+  }
+  return bundle;
+}
+
+async function blobToBase64(blob) {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Archived asset → stored asset, or null when its data does not decode
+ */
+function fromArchivedAsset(asset) {
+  try {
+    const binary = atob(asset.data);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    const type = typeof asset.type === 'string' ? asset.type : '';
+    return {
+      id: asset.id,
+      blob: new Blob([bytes], { type }),
+      type,
+      size: bytes.length,
+      sourceKeys: Array.isArray(asset.sourceKeys) ? asset.sourceKeys.filter((key) => typeof key === 'string') : [],
+      savedAt: typeof asset.savedAt === 'string' ? asset.savedAt : new Date().toISOString(),
+    };
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * The folders some conversations are filed in, plus their ancestors
+ */
+function foldersUsedBy(conversations, folders) {
+  const byId = new Map(folders.map((folder) => [folder.id, folder]));
+  const used = new Map();
+  conversations.forEach((conv) => {
+    for (let id = conv.folderId; id && byId.has(id) && !used.has(id); id = byId.get(id).parentId) {
+      used.set(id, byId.get(id));
+    }
+  });
+  return Array.from(used.values());
+}
+
+/**
+ * Check a bundle before importing. Throws on anything that is not a
+ * Chatsave archive this version can read; returns the usable conversations
+ * and revisions plus a list of entries that had to be skipped as invalid.
+ */
+function validateArchive(bundle) {
+  if (!bundle || typeof bundle !== 'object' || bundle.format !== ARCHIVE_FORMAT) {
+    throw new Error('Not a Chatsave archive');
+  }
+  if (!Number.isInteger(bundle.schemaVersion) || bundle.schemaVersion < 1) {
+    throw new Error('Archive has no valid schema version');
+  }
+  if (bundle.schemaVersion > ARCHIVE_SCHEMA_VERSION) {
+    throw new Error(
+      `Archive schema v${bundle.schemaVersion} is newer than this version of Chatsave supports (v${ARCHIVE_SCHEMA_VERSION})`
+    );
+  }
+  if (!Array.isArray(bundle.conversations)) {
+    throw new Error('Archive has no conversations list');
+  }
+
+  const invalid = [];
+  const conversations = bundle.conversations.filter((conv, i) => {
+    const ok = conv && typeof conv.id === 'string' && conv.id &&
+      (Array.isArray(conv.messages) || (conv.mapping && typeof conv.mapping === 'object'));
+    if (!ok) invalid.push(conv && conv.id ? conv.id : `#${i}`);
+    return ok;
+  });
+
+  const revisions = (Array.isArray(bundle.revisions) ? bundle.revisions : []).filter((rev) =>
+    rev && typeof rev.id === 'string' && typeof rev.conversationId === 'string' && Array.isArray(rev.messages)
+  );
+
+  // Optional: archives from before folders existed have none
+  const folders = (Array.isArray(bundle.folders) ? bundle.folders : []).filter((folder) =>
+    folder && typeof folder.id === 'string' && typeof folder.name === 'string' && folder.name.trim()
+  );
+
+  // Optional too; annotations of conversations not in the archive are dropped
+  const conversationIds = new Set(conversations.map((conv) => conv.id));
+  const annotations = (Array.isArray(bundle.annotations) ? bundle.annotations : []).filter((ann) =>
+    ann && typeof ann.id === 'string' && conversationIds.has(ann.conversationId) &&
+    typeof ann.createdAt === 'string' && (ann.type === 'highlight' ? !!ann.nodeId && !!ann.quote : !!ann.note)
+  );
+
+  // Optional: images, base64-encoded; ones that do not decode are dropped
+  const assets = (Array.isArray(bundle.assets) ? bundle.assets : [])
+    .filter((asset) => asset && typeof asset.id === 'string' && /^[\w-]+$/.test(asset.id) && typeof asset.data === 'string')
+    .map(fromArchivedAsset)
+    .filter(Boolean);
+
+  return { conversations, revisions, folders, annotations, assets, invalid };
+}
+
+/**
+ * Import a bundle produced by exportArchive. Runs in one transaction; id
+ * collisions merge with saveConversation semantics (the archive's other
+ * branches are added too), and chats in the trash or on the ignore list are
+ * skipped with their revisions and annotations. Returns { added, updated,
+ * skipped } id lists.
+ */
+async function importArchive(bundle) {
+  const { conversations, revisions, folders, annotations, assets, invalid } = validateArchive(bundle);
+  const report = { added: [], updated: [], skipped: invalid.slice() };
+
+  // Trees are read before the transaction opens; entries whose tree cannot
+  // be read are skipped as invalid
+  const entries = [];
+  conversations.forEach((conv) => {
+    try {
+      const tree = Tree.getTree(conv);
+      const incoming = { ...Tree.hydrateConversation(conv) };
+      delete incoming.mapping;
+      delete incoming.currentNode;
+      delete incoming.contentHash;
+
+      // Every leaf other than the active one is a branch to carry over
+      const branches = Object.keys(tree.mapping)
+        .filter((id) => tree.mapping[id].children.length === 0 && id !== tree.currentNode)
+        .map((id) => Tree.getPathMessages(tree.mapping, id));
+      entries.push({ conv, tree, incoming, branches });
+    } catch (err) {
+      report.skipped.push(conv.id);
+    }
+  });
+
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(
+      [STORE_NAME, REVISIONS_STORE, FOLDERS_STORE, ANNOTATIONS_STORE, TRASH_STORE, IGNORED_STORE, ASSETS_STORE, ...SEARCH_STORES],
+      'readwrite'
+    );
+    const store = tx.objectStore(STORE_NAME);
+    const revisionStore = tx.objectStore(REVISIONS_STORE);
+    const folderStore = tx.objectStore(FOLDERS_STORE);
+    const annotationStore = tx.objectStore(ANNOTATIONS_STORE);
+    const assetStore = tx.objectStore(ASSETS_STORE);
+
+    entries.forEach(({ conv, tree, incoming, branches }) => {
+      const ignoredReq = tx.objectStore(IGNORED_STORE).get(conv.id);
+      const trashReq = tx.objectStore(TRASH_STORE).get(conv.id);
+      const getReq = store.get(conv.id);
+      getReq.onsuccess = () => {
+        if (getSkipReason(ignoredReq, trashReq)) {
+          report.skipped.push(conv.id);
+          return;
+        }
+
+        // New conversations are taken over as they are, tree and all
+        if (!getReq.result) {
+          const messages = Tree.getPathMessages(tree.mapping, tree.currentNode);
+          const record = toStoredRecord({ ...incoming, contentHash: hashMessages(messages) }, tree);
+          recordRevision(revisionStore, { ...record, messages }, record.contentHash, record.updatedAt);
+          store.put(record);
+          updateSearchIndex(tx, null, Tree.hydrateConversation(record));
+          report.added.push(conv.id);
+          return;
+        }
+
+        // A stored record that cannot be merged fails the whole import
+        try {
+          const result = mergeConversation(store, revisionStore, getReq.result, incoming, {
+            branches,
+            skipUnchanged: true,
+          });
+          if (result.merge.changed) report.updated.push(conv.id);
+          else report.skipped.push(conv.id);
+        } catch (err) {
+          reject(new Error(`Could not merge ${conv.id}: ${err.message}`));
+          tx.abort();
+        }
+      };
+    });
+
+    // Folders the archive has and we do not; existing ones keep their name
+    folders.forEach((folder) => {
+      const getReq = folderStore.get(folder.id);
+      getReq.onsuccess = () => {
+        if (!getReq.result) folderStore.put({ ...folder, parentId: folder.parentId || null });
+      };
+    });
+
+    // Add an annotation or revision we do not have, unless its chat is in
+    // the trash or on the ignore list. That is looked up in the stores:
+    // the viewer imports revisions in batches without their conversations.
+    const addUnlessSkipped = (targetStore, entry) => {
+      const ignoredReq = tx.objectStore(IGNORED_STORE).get(entry.conversationId);
+      const trashReq = tx.objectStore(TRASH_STORE).get(entry.conversationId);
+      const getReq = targetStore.get(entry.id);
+      getReq.onsuccess = () => {
+        if (!getReq.result && !getSkipReason(ignoredReq, trashReq)) targetStore.put(entry);
+      };
+    };
+
+    // Annotations edited on both sides keep ours
+    annotations.forEach((ann) => addUnlessSkipped(annotationStore, ann));
+
+    // Revisions are content-addressed: only add the ones we do not have
+    revisions.forEach((rev) => addUnlessSkipped(revisionStore, rev));
+
+    // Assets are content-addressed too; ones only skipped chats use are
+    // left for pruneAssets
+    assets.forEach((asset) => {
+      const getReq = assetStore.get(asset.id);
+      getReq.onsuccess = () => {
+        if (!getReq.result) assetStore.put(asset);
+      };
+    });
+
+    tx.oncomplete = () => {
+      db.close();
+      resolve(report);
+    };
+    tx.onabort = () => {
+      db.close();
+      reject(tx.error || new Error('Transaction aborted'));
+    };
   });
 }
 
@@ -180,10 +2331,37 @@ if (typeof globalThis !== 'undefined') {
   globalThis.ChatSaverDB = {
     openDB,
     saveConversation,
+    mergeMessages,
+    clearConflict,
     getConversation,
     getAllConversations,
     searchConversations,
     deleteConversation,
+    deleteConversations,
+    trashConversations,
+    getTrash,
+    restoreConversations,
+    purgeTrash,
+    ignoreConversations,
+    getIgnored,
+    unignoreConversations,
+    getRevisions,
+    getRevision,
+    restoreRevision,
+    updateConversations,
+    setUserTitle,
+    getFolders,
+    saveFolder,
+    deleteFolder,
+    getAnnotations,
+    saveAnnotation,
+    deleteAnnotation,
+    findAssets,
+    saveAsset,
+    getAssets,
+    pruneAssets,
+    exportArchive,
+    importArchive,
     getStats,
   };
 }
@@ -0,0 +1,344 @@
+/**
+ * Importers for Offline Chat Saver
+ * Turn files the user picks in the viewer into a Chatsave archive bundle
+ * (see exportArchive in lib/db.js), which the background then merges in.
+ *
+ * Supported inputs:
+ *   - Chatsave JSON backups ("Export all")
+ *   - ChatGPT "Export data" archives (the zip, or its conversations.json)
+ *   - Claude account exports (the zip, or its conversations.json)
+ *
+ * Depends on lib/zip.js for zip files.
+ */
+
+const IMPORT_ARCHIVE_FORMAT = 'chatsave-archive';
+const IMPORT_SCHEMA_VERSION = 1;
+
+/**
+ * Read a picked File (zip or JSON) and return its parsed JSON.
+ * Zips are searched for conversations.json.
+ */
+async function readImportFile(file) {
+  const isZip = /\.zip$/i.test(file.name || '') || file.type === 'application/zip';
+
+  if (isZip) {
+    const text = await globalThis.ChatSaverZip.readZipText(await file.arrayBuffer(), 'conversations.json');
+    if (text === null) throw new Error('No conversations.json found in the zip');
+    return JSON.parse(text);
+  }
+
+  return JSON.parse(await file.text());
+}
+
+/**
+ * Work out what a parsed import file is
+ * @returns {'chatsave' | 'chatgpt' | 'claude' | null}
+ */
+function detectImportFormat(data) {
+  if (data && data.format === IMPORT_ARCHIVE_FORMAT) return 'chatsave';
+
+  if (Array.isArray(data) && data.length > 0) {
+    const first = data.find((c) => c && typeof c === 'object');
+    if (first && first.mapping && typeof first.mapping === 'object') return 'chatgpt';
+    if (first && Array.isArray(first.chat_messages)) return 'claude';
+  }
+
+  return null;
+}
+
+/**
+ * Convert any supported import file into a Chatsave archive bundle
+ * @param {Object} [options]
+ * @param {Function} [options.renderMarkdown] - markdown => { text, html }, used for
+ *   exports that only carry markdown (Claude) so imported messages look like scraped ones
+ */
+function toArchiveBundle(data, options = {}) {
+  const format = detectImportFormat(data);
+
+  if (format === 'chatsave') return data;
+  if (format === 'chatgpt') return wrapConversations(fromChatGPTExport(data));
+  if (format === 'claude') return wrapConversations(fromClaudeExport(data, options.renderMarkdown));
+
+  throw new Error('Unrecognized file: expected a Chatsave backup, a ChatGPT export or a Claude export');
+}
+
+function wrapConversations(conversations) {
+  return {
+    format: IMPORT_ARCHIVE_FORMAT,
+    schemaVersion: IMPORT_SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    conversations,
+    revisions: [],
+  };
+}
+
+/* ---------------------------------------------
+   ChatGPT "Export data" (conversations.json)
+   --------------------------------------------- */
+
+/**
+ * Convert OpenAI's conversations.json into Chatsave conversation records.
+ * OpenAI's `mapping` is already a node tree; system, tool and hidden nodes
+ * are dropped and their children re-parented, so the tree matches what the
+ * ChatGPT page shows. Message ids are kept, so imported messages dedupe
+ * against scraped ones (data-message-id is the same id).
+ */
+function fromChatGPTExport(conversations) {
+  return conversations
+    .filter((conv) => conv && conv.mapping && (conv.conversation_id || conv.id))
+    .map(convertChatGPTConversation)
+    .filter((conv) => conv.currentNode);
+}
+
+function convertChatGPTConversation(conv) {
+  const convId = conv.conversation_id || conv.id;
+  const source = conv.mapping;
+  const mapping = {};
+  const keptFor = {}; // OpenAI node id → nearest kept node id (itself or an ancestor)
+
+  const roots = Object.keys(source).filter((id) => !source[id].parent || !source[source[id].parent]);
+  const stack = roots.reverse().map((id) => [id, null]);
+
+  while (stack.length > 0) {
+    const [nodeId, keptParent] = stack.pop();
+    const node = source[nodeId];
+    if (!node) continue;
+
+    let parentForChildren = keptParent;
+    const message = convertChatGPTMessage(node.message);
+
+    if (message) {
+      const id = message.id || nodeId;
+      mapping[id] = {
+        id,
+        parent: keptParent,
+        children: [],
+        message,
+        seenAt: message.lastChangedAt || message.firstSeenAt,
+      };
+      if (keptParent) mapping[keptParent].children.push(id);
+      parentForChildren = id;
+    }
+
+    keptFor[nodeId] = parentForChildren;
+    const children = Array.isArray(node.children) ? node.children : [];
+    for (let i = children.length - 1; i >= 0; i--) {
+      stack.push([children[i], parentForChildren]);
+    }
+  }
+
+  const currentNode = keptFor[conv.current_node] || lastLeaf(mapping);
+  const url = conv.gizmo_id
+    ? `https://chatgpt.com/g/${conv.gizmo_id}/c/${convId}`
+    : `https://chatgpt.com/c/${convId}`;
+
+  const record = {
+    id: 'chatgpt_' + convId,
+    source: 'chatgpt',
+    title: conv.title || 'Untitled Chat',
+    titleConfidence: conv.title ? 'high' : 'none',
+    url,
+    mapping,
+    currentNode,
+    importedFrom: 'chatgpt-export',
+  };
+
+  const created = epochToIso(conv.create_time);
+  const updated = epochToIso(conv.update_time);
+  if (created) record.savedAt = created;
+  if (updated || created) record.updatedAt = updated || created;
+
+  return record;
+}
+
+/**
+ * OpenAI message → Chatsave message, or null for turns the page hides
+ */
+function convertChatGPTMessage(message) {
+  if (!message || !message.author) return null;
+
+  const role = message.author.role;
+  if (role !== 'user' && role !== 'assistant') return null;
+
+  const metadata = message.metadata || {};
+  if (metadata.is_visually_hidden_from_conversation) return null;
+
+  const content = chatGPTContentText(message.content);
+  if (!content) return null;
+
+  const result = { role, content };
+  if (message.id) result.id = message.id;
+  if (role === 'assistant' && metadata.model_slug) result.model = metadata.model_slug;
+
+  const created = epochToIso(message.create_time);
+  const updated = epochToIso(message.update_time);
+  if (created) result.firstSeenAt = created;
+  if (updated || created) result.lastChangedAt = updated || created;
+
+  return result;
+}
+
+/**
+ * Markdown text of an OpenAI message `content` object
+ */
+function chatGPTContentText(content) {
+  if (!content) return '';
+  const parts = Array.isArray(content.parts) ? content.parts : [];
+
+  switch (content.content_type) {
+    case 'text':
+      return parts.filter((p) => typeof p === 'string').join('\n').trim();
+    case 'multimodal_text':
+      return parts
+        .map((p) => {
+          if (typeof p === 'string') return p;
+          if (p && p.content_type === 'image_asset_pointer') return '[image]';
+          return '';
+        })
+        .filter(Boolean)
+        .join('\n\n')
+        .trim();
+    case 'code': {
+      const lang = content.language && content.language !== 'unknown' ? content.language : '';
+      return content.text ? '```' + lang + '\n' + content.text.trim() + '\n```' : '';
+    }
+    default:
+      return typeof content.text === 'string' ? content.text.trim() : '';
+  }
+}
+
+/* ---------------------------------------------
+   Claude account export (conversations.json)
+   --------------------------------------------- */
+
+// parent_message_uuid of the first turn in Claude exports
+const CLAUDE_ROOT_PARENT = '00000000-0000-4000-8000-000000000000';
+
+/**
+ * Convert Claude's conversations.json into Chatsave conversation records.
+ * Ids match ChatSaverCommon.generateId('claude', url), and message content
+ * goes through `renderMarkdown` — the same markdown + sanitized HTML pair
+ * the content script scrapes — so imported and scraped copies of a chat
+ * merge instead of duplicating.
+ *
+ * @param {Object[]} conversations
+ * @param {Function} [renderMarkdown] - markdown => { text, html }
+ */
+function fromClaudeExport(conversations, renderMarkdown) {
+  return conversations
+    .filter((conv) => conv && conv.uuid && Array.isArray(conv.chat_messages))
+    .map((conv) => convertClaudeConversation(conv, renderMarkdown))
+    .filter((conv) => conv.currentNode);
+}
+
+function convertClaudeConversation(conv, renderMarkdown) {
+  const mapping = {};
+  // Older exports have no parent ids: the messages are one linear thread
+  const linear = !conv.chat_messages.some((m) => m && m.parent_message_uuid);
+  let previous = null;
+
+  for (const raw of conv.chat_messages) {
+    const message = convertClaudeMessage(raw, renderMarkdown);
+    if (!message) continue;
+
+    mapping[message.id] = {
+      id: message.id,
+      parent: linear ? previous : raw.parent_message_uuid,
+      children: [],
+      message,
+      seenAt: message.lastChangedAt || message.firstSeenAt,
+    };
+    previous = message.id;
+  }
+
+  // Link children in export order; parents that were skipped (empty
+  // turns) or missing promote their children to roots
+  for (const node of Object.values(mapping)) {
+    if (!node.parent || node.parent === CLAUDE_ROOT_PARENT || !mapping[node.parent]) {
+      node.parent = null;
+      continue;
+    }
+    mapping[node.parent].children.push(node.id);
+  }
+
+  const record = {
+    id: 'claude_' + conv.uuid,
+    source: 'claude',
+    title: conv.name || 'Untitled Chat',
+    titleConfidence: conv.name ? 'high' : 'none',
+    url: `https://claude.ai/chat/${conv.uuid}`,
+    mapping,
+    currentNode: mapping[conv.current_leaf_message_uuid] ? conv.current_leaf_message_uuid : lastLeaf(mapping),
+    importedFrom: 'claude-export',
+  };
+
+  if (conv.created_at) record.savedAt = conv.created_at;
+  if (conv.updated_at || conv.created_at) record.updatedAt = conv.updated_at || conv.created_at;
+
+  return record;
+}
+
+/**
+ * Claude export message → Chatsave message, or null when it has no text
+ */
+function convertClaudeMessage(message, renderMarkdown) {
+  if (!message || !message.uuid) return null;
+
+  const role = message.sender === 'human' ? 'user' : message.sender === 'assistant' ? 'assistant' : null;
+  if (!role) return null;
+
+  const markdown = claudeMessageText(message);
+  if (!markdown) return null;
+
+  const result = { id: message.uuid, role, content: markdown };
+  if (typeof renderMarkdown === 'function') {
+    const rendered = renderMarkdown(markdown);
+    if (rendered.text) result.content = rendered.text;
+    if (rendered.html) result.contentHtml = rendered.html;
+  }
+
+  if (message.created_at) result.firstSeenAt = message.created_at;
+  if (message.updated_at || message.created_at) result.lastChangedAt = message.updated_at || message.created_at;
+
+  return result;
+}
+
+/**
+ * Markdown text of a Claude export message: its text content blocks, or
+ * the flat `text` field of older exports
+ */
+function claudeMessageText(message) {
+  if (Array.isArray(message.content) && message.content.length > 0) {
+    const text = message.content
+      .filter((block) => block && block.type === 'text' && typeof block.text === 'string')
+      .map((block) => block.text)
+      .join('\n\n')
+      .trim();
+    if (text) return text;
+  }
+  return typeof message.text === 'string' ? message.text.trim() : '';
+}
+
+/**
+ * Most recently seen leaf, for exports that lack current_node
+ */
+function lastLeaf(mapping) {
+  const leaves = Object.keys(mapping).filter((id) => mapping[id].children.length === 0);
+  if (leaves.length === 0) return null;
+  return leaves.reduce((best, id) => ((mapping[id].seenAt || '') > (mapping[best].seenAt || '') ? id : best));
+}
+
+function epochToIso(seconds) {
+  if (typeof seconds !== 'number' || !isFinite(seconds) || seconds <= 0) return null;
+  return new Date(seconds * 1000).toISOString();
+}
+
+if (typeof globalThis !== 'undefined') {
+  globalThis.ChatSaverImporters = {
+    readImportFile,
+    detectImportFormat,
+    toArchiveBundle,
+    fromChatGPTExport,
+    fromClaudeExport,
+  };
+}
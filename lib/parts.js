@@ -0,0 +1,170 @@
+/**
+ * Message parts for Offline Chat Saver
+ * Shared by the content scripts, the background worker (via importScripts)
+ * and the viewer.
+ *
+ * Turns that are more than text carry `parts`, an ordered list of:
+ *   { type: 'text', text, html }                 - answer text (Claude)
+ *   { type: 'thinking', title, text, html }      - extended thinking (Claude)
+ *   { type: 'tool', title, text }                - a tool call and its result (Claude)
+ *   { type: 'artifact', title, kind, language, text } - a Claude artifact;
+ *     kind 'code', 'markdown', 'html', 'svg', 'react' or 'mermaid', text its source
+ *   { type: 'code', title, language, text }      - code the assistant ran (ChatGPT)
+ *   { type: 'output', title, text }              - what that code printed
+ *   { type: 'image', url, alt }                  - a chart or generated image
+ *   { type: 'file', name, kind, size, url }      - a generated file
+ *   { type: 'document', title, format, language, text, html, preview } - a
+ *     canvas document: format 'markdown' (text with its sanitized HTML) or
+ *     'code'; `preview` when only the card in the chat was read
+ * Their markdown is (part of) the message `content`, so search, export and
+ * capture rules see them.
+ *
+ * The page only shows some parts' text while they are open: a collapsed
+ * thinking block or tool call has none, and an artifact or canvas has its
+ * source only while the side panel shows it. Saves fill such parts in from
+ * the stored copy of the turn (mergeMessageParts), so text is kept once seen.
+ */
+
+// Fence language of each artifact kind's source
+const ARTIFACT_LANGUAGES = { html: 'html', svg: 'svg', react: 'jsx', mermaid: 'mermaid' };
+
+// Parts the page only shows the text of while they are open
+const PANEL_PART_TYPES = new Set(['thinking', 'tool', 'artifact', 'document']);
+
+/**
+ * Markdown for a message's parts
+ */
+function partsToMarkdown(parts) {
+  return (parts || []).map((part) => {
+    switch (part.type) {
+      case 'text':
+        return part.text;
+      case 'thinking':
+        return `*${part.title || 'Thinking'}:*\n\n` +
+          (part.text || '').split('\n').map((line) => ('> ' + line).trimEnd()).join('\n');
+      case 'tool':
+        return `*${part.title || 'Tool use'}*` + (part.text ? '\n\n' + part.text : '');
+      case 'artifact': {
+        if (!part.text) return `**${part.title || 'Artifact'}**`;
+        const body = part.kind === 'markdown'
+          ? part.text
+          : '```' + (part.language || ARTIFACT_LANGUAGES[part.kind] || '') + '\n' + part.text + '\n```';
+        return `**${part.title || 'Artifact'}**\n\n${body}`;
+      }
+      case 'code':
+        return '```' + (part.language || '') + '\n' + part.text + '\n```';
+      case 'output':
+        return `*${part.title || 'Output'}:*\n\n` + '```\n' + part.text + '\n```';
+      case 'image':
+        return `![${part.alt || 'image'}](${part.url})`;
+      case 'file':
+        return part.url ? `[${part.name}](${part.url})` : part.name;
+      case 'document': {
+        const body = part.format === 'code'
+          ? '```' + (part.language || '') + '\n' + part.text + '\n```'
+          : part.text;
+        return `**${part.title || 'Document'}**\n\n${body}`;
+      }
+      default:
+        return part.text || '';
+    }
+  }).filter(Boolean).join('\n\n');
+}
+
+/**
+ * Whether a part has less than the page can show: no text, or only the
+ * preview on a canvas card
+ */
+function isPartialPart(part) {
+  return !part.text || part.preview === true;
+}
+
+function isSamePart(a, b) {
+  return a.type === b.type && (a.title || a.name || '') === (b.title || b.name || '');
+}
+
+/**
+ * Scraped parts with the text of partial ones taken from the stored parts.
+ * A part is paired with the stored part at its index when that has the
+ * same type and title, else with the first unpaired one that has.
+ * @returns {{ parts: Object[], filled: boolean }} filled - whether any text
+ *   came from the stored parts
+ */
+function mergeParts(stored, incoming) {
+  const used = new Set();
+  let filled = false;
+
+  const parts = incoming.map((part, i) => {
+    let index = stored[i] && !used.has(i) && isSamePart(stored[i], part) ? i : -1;
+    if (index === -1) index = stored.findIndex((other, j) => !used.has(j) && isSamePart(other, part));
+    if (index === -1) return part;
+    used.add(index);
+
+    const previous = stored[index];
+    if (!isPartialPart(part) || isPartialPart(previous)) return part;
+
+    filled = true;
+    const { preview, html, ...rest } = part;
+    const merged = { ...rest, text: previous.text };
+    if (previous.html) merged.html = previous.html;
+    if (previous.format) merged.format = previous.format;
+    if (previous.language) merged.language = previous.language;
+    return merged;
+  });
+
+  return { parts, filled };
+}
+
+/**
+ * A message's content without its parts' markdown: the text a ChatGPT turn
+ * has beside its parts ('' for Claude, whose text is parts too), or null
+ * when the content does not end with the parts (edited by a capture rule)
+ */
+function getTextBesideParts(message) {
+  const content = message.content || '';
+  const markdown = partsToMarkdown(message.parts);
+  if (!content.endsWith(markdown)) return null;
+  return content.slice(0, content.length - markdown.length).trim();
+}
+
+/**
+ * A scraped message with its parts merged with the stored copy's (see
+ * mergeParts) and its content rebuilt from them
+ */
+function mergeMessageParts(stored, incoming) {
+  if (!Array.isArray(stored.parts) || !Array.isArray(incoming.parts)) return incoming;
+
+  const { parts, filled } = mergeParts(stored.parts, incoming.parts);
+  if (!filled) return incoming;
+
+  const text = getTextBesideParts(incoming);
+  const message = { ...incoming, parts };
+  if (text !== null) message.content = [text, partsToMarkdown(parts)].filter(Boolean).join('\n\n');
+  return message;
+}
+
+/**
+ * A message's content with the text of parts the page only shows while they
+ * are open left out, so scrapes of a turn with a block open and closed read
+ * the same
+ */
+function getStableContent(message) {
+  if (!Array.isArray(message.parts) || message.parts.length === 0) return message.content || '';
+  const text = getTextBesideParts(message);
+  if (text === null) return message.content || '';
+
+  const parts = message.parts.map((part) =>
+    (PANEL_PART_TYPES.has(part.type) ? { type: part.type, title: part.title, text: '' } : part)
+  );
+  return [text, partsToMarkdown(parts)].filter(Boolean).join('\n\n');
+}
+
+if (typeof globalThis !== 'undefined') {
+  globalThis.ChatSaverParts = {
+    ARTIFACT_LANGUAGES,
+    partsToMarkdown,
+    mergeParts,
+    mergeMessageParts,
+    getStableContent,
+  };
+}
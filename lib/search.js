@@ -0,0 +1,505 @@
+/**
+ * Full-text search helpers for Offline Chat Saver
+ * Shared by the background worker (via importScripts, before db.js) and the
+ * viewer. lib/db.js keeps an inverted index built from these in IndexedDB:
+ *   searchPostings: { term, conversationId, tf, titleTf, positions }  key [term, conversationId]
+ *   searchDocs:     { id, length, updatedAt }                           key id
+ *
+ * Positions number the tokens of the title followed by every message of the
+ * active branch, with a one-token gap between fields so phrases never match
+ * across two messages.
+ */
+
+// Tokens longer than this are almost always base64, hashes or minified code
+const MAX_TOKEN_LENGTH = 64;
+
+// Each title occurrence counts like this many body occurrences
+const TITLE_BOOST = 3;
+
+// Partial (prefix) term matches score lower than whole-word matches
+const PREFIX_WEIGHT = 0.6;
+
+// BM25 parameters
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// Marks are part of the word here and dropped by foldToken, so decomposed
+// accents ("e" + U+0301) do not split a word
+const WORD_PATTERN = /[\p{L}\p{M}\p{N}_]+/gu;
+// Scripts written without spaces: each character is its own token
+const CJK_PATTERN = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]/u;
+
+/**
+ * Split text into lowercase, accent-folded tokens
+ * @returns {string[]}
+ */
+function tokenize(text) {
+  return tokenSpans(text).map((span) => span.token);
+}
+
+/**
+ * Tokens with their offsets in the original text, for highlighting
+ * @returns {{ token: string, start: number, end: number }[]}
+ */
+function tokenSpans(text) {
+  const str = String(text || '');
+  const spans = [];
+
+  for (const match of str.matchAll(WORD_PATTERN)) {
+    const word = match[0];
+    let start = match.index;
+
+    if (!CJK_PATTERN.test(word)) {
+      const token = foldToken(word);
+      if (token && token.length <= MAX_TOKEN_LENGTH) spans.push({ token, start, end: start + word.length });
+      continue;
+    }
+
+    let runStart = start;
+    for (const ch of word) {
+      if (CJK_PATTERN.test(ch)) {
+        if (runStart < start) spans.push({ token: foldToken(str.slice(runStart, start)), start: runStart, end: start });
+        spans.push({ token: ch, start, end: start + ch.length });
+        runStart = start + ch.length;
+      }
+      start += ch.length;
+    }
+    if (runStart < start) spans.push({ token: foldToken(str.slice(runStart, start)), start: runStart, end: start });
+  }
+
+  return spans.filter((span) => span.token);
+}
+
+function foldToken(word) {
+  return word.normalize('NFKD').replace(/\p{M}+/gu, '').toLowerCase();
+}
+
+/**
+ * Build the index entries of a (hydrated) conversation
+ * @returns {{ terms: Map<string, { tf, titleTf, positions: number[] }>, length: number }}
+ */
+function buildSearchDocument(conversation) {
+  const terms = new Map();
+  let position = 0;
+
+  const addField = (text, isTitle) => {
+    for (const token of tokenize(text)) {
+      let entry = terms.get(token);
+      if (!entry) {
+        entry = { tf: 0, titleTf: 0, positions: [] };
+        terms.set(token, entry);
+      }
+      if (isTitle) entry.titleTf++;
+      else entry.tf++;
+      entry.positions.push(position++);
+    }
+    position++;
+  };
+
+  addField(conversation.title, true);
+  (conversation.messages || []).forEach((msg) => addField(msg.content, false));
+
+  return { terms, length: position };
+}
+
+// Accepted spellings of role: and source: values
+const ROLE_ALIASES = { user: 'user', human: 'user', me: 'user', assistant: 'assistant', ai: 'assistant', bot: 'assistant' };
+const SOURCE_ALIASES = { chatgpt: 'chatgpt', openai: 'chatgpt', gpt: 'chatgpt', claude: 'claude', anthropic: 'claude' };
+
+// -field:"value" | -field:value | -"phrase" | -/regex/flags | -word
+const QUERY_TOKEN_PATTERN = /(-?)(?:([a-z]+):(?:"([^"]*)"?|(\S*))|"([^"]*)"?|\/((?:\\.|[^/\\])+)\/([a-z]*)|(\S+))/gi;
+
+/**
+ * Parse a search box query once into text clauses (answered by the index)
+ * and filters (checked against the stored records by matchConversation).
+ *
+ *   word, word*, "a b c"   — text; the last word also matches as a prefix while
+ *                            it is still being typed, "…" means adjacent words
+ *   title:word, title:"…"  — text in the title only
+ *   role:user|assistant    — text (and has:/lang:) in messages of that role
+ *   source:chatgpt|claude  — conversations from one assistant
+ *   before:DATE, after:DATE — last updated before / on or after a date (YYYY[-MM[-DD]])
+ *   has:code, lang:python  — messages with a code block (in that language)
+ *   tag:name, is:pinned, is:starred — organization set in the viewer
+ *   /regex/flags           — regular expression on title and messages (case-insensitive by default)
+ *   -anything              — must not match; works on words, phrases, title: and regexes
+ *
+ * Unknown `field:` prefixes are searched as plain text.
+ */
+function parseSearchQuery(query) {
+  const text = String(query || '');
+  const parsed = {
+    clauses: [],
+    regexes: [],
+    roles: [],
+    sources: [],
+    before: null,
+    after: null,
+    hasCode: false,
+    langs: [],
+    tags: [],
+    flags: [],
+  };
+
+  QUERY_TOKEN_PATTERN.lastIndex = 0;
+  let match;
+  while ((match = QUERY_TOKEN_PATTERN.exec(text)) !== null) {
+    const [whole, minus, field, fieldQuoted, fieldBare, quoted, regexBody, regexFlags, bare] = match;
+    const negate = minus === '-';
+    const atEnd = QUERY_TOKEN_PATTERN.lastIndex === text.length;
+
+    if (field !== undefined) {
+      const value = fieldQuoted !== undefined ? fieldQuoted : fieldBare;
+      if (!applyFilter(parsed, field.toLowerCase(), value, fieldQuoted !== undefined, negate)) {
+        addTextClauses(parsed, whole.slice(minus.length), { prefix: atEnd, negate });
+      }
+    } else if (quoted !== undefined) {
+      addTextClauses(parsed, quoted, { phrase: true, negate });
+    } else if (regexBody !== undefined) {
+      const regex = buildRegex(regexBody, regexFlags);
+      if (regex) parsed.regexes.push({ regex, negate });
+      else addTextClauses(parsed, regexBody, { negate });
+    } else if (bare !== undefined) {
+      addTextClauses(parsed, bare, { prefix: bare.endsWith('*') || atEnd, negate });
+    }
+  }
+
+  return parsed;
+}
+
+/**
+ * Add the clauses for a piece of query text: one per word, or a single
+ * phrase clause for quoted text
+ */
+function addTextClauses(parsed, value, options) {
+  const terms = tokenize(value);
+  const base = { field: options.field || null, negate: !!options.negate };
+
+  if (terms.length > 1 && options.phrase) {
+    parsed.clauses.push({ type: 'phrase', terms, prefix: false, ...base });
+    return;
+  }
+  terms.forEach((term, i) => {
+    const prefix = i === terms.length - 1 && !!options.prefix;
+    parsed.clauses.push({ type: 'term', terms: [term], prefix, ...base });
+  });
+}
+
+/**
+ * Apply one `field:value` operator; false when the field is unknown
+ */
+function applyFilter(parsed, field, value, quoted, negate) {
+  const key = String(value || '').toLowerCase();
+
+  switch (field) {
+    case 'title':
+      addTextClauses(parsed, value, { phrase: quoted, field: 'title', negate });
+      return true;
+    case 'role':
+      if (ROLE_ALIASES[key]) parsed.roles.push(ROLE_ALIASES[key]);
+      return true;
+    case 'source':
+      if (SOURCE_ALIASES[key]) parsed.sources.push(SOURCE_ALIASES[key]);
+      return true;
+    case 'before':
+    case 'after': {
+      const date = parseQueryDate(value);
+      if (date) parsed[field] = date;
+      return true;
+    }
+    case 'has':
+      if (key === 'code') parsed.hasCode = true;
+      return true;
+    case 'lang':
+    case 'language':
+      if (key) parsed.langs.push(key);
+      return true;
+    case 'tag':
+      if (key.trim()) parsed.tags.push(key.trim());
+      return true;
+    case 'is':
+      if (key === 'pinned' || key === 'starred') parsed.flags.push(key);
+      return true;
+    default:
+      return false;
+  }
+}
+
+/**
+ * YYYY, YYYY-MM or YYYY-MM-DD → ISO timestamp of its start, or null
+ */
+function parseQueryDate(value) {
+  const m = String(value || '').match(/^(\d{4})(?:-(\d{1,2}))?(?:-(\d{1,2}))?$/);
+  if (!m) return null;
+  const date = new Date(Date.UTC(+m[1], m[2] ? +m[2] - 1 : 0, m[3] ? +m[3] : 1));
+  return isNaN(date) ? null : date.toISOString();
+}
+
+function buildRegex(body, flags) {
+  try {
+    const f = Array.from(new Set((flags || '').replace(/[^imsu]/g, '') + (/[A-Z]/.test(body) ? '' : 'i'))).join('');
+    return new RegExp(body, f);
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Whether a parsed query has nothing to search for
+ */
+function isEmptyQuery(parsed) {
+  return parsed.clauses.length === 0 && parsed.regexes.length === 0 && parsed.roles.length === 0 &&
+    parsed.sources.length === 0 && !parsed.before && !parsed.after && !parsed.hasCode && parsed.langs.length === 0 &&
+    parsed.tags.length === 0 && parsed.flags.length === 0;
+}
+
+/**
+ * Check a hydrated conversation against a parsed query, using its stored
+ * fields. Text clauses and regexes match the title or a message; with
+ * role:/has:/lang: they must match in a message that passes those filters.
+ *
+ * @returns {{ messages: { index: number, nodeId: string|undefined }[] } | null}
+ *   null when the conversation does not match; otherwise the messages that did
+ */
+function matchConversation(conversation, parsed) {
+  if (parsed.sources.length > 0 && !parsed.sources.includes(conversation.source || 'chatgpt')) return null;
+
+  const updatedAt = conversation.updatedAt || conversation.savedAt || '';
+  if (parsed.before && !(updatedAt && updatedAt < parsed.before)) return null;
+  if (parsed.after && !(updatedAt && updatedAt >= parsed.after)) return null;
+
+  const tags = conversation.tags || [];
+  if (!parsed.tags.every((tag) => tags.includes(tag))) return null;
+  if (parsed.flags.includes('pinned') && !conversation.pinnedAt) return null;
+  if (parsed.flags.includes('starred') && !conversation.starredAt) return null;
+
+  const messageFiltered = parsed.roles.length > 0 || parsed.hasCode || parsed.langs.length > 0;
+  const messages = (conversation.messages || [])
+    .map((msg, index) => ({ msg, index, tokens: null }))
+    .filter(({ msg }) => isEligibleMessage(msg, parsed));
+  if (messageFiltered && messages.length === 0) return null;
+
+  const title = { text: conversation.title || '', tokens: tokenize(conversation.title) };
+  const tokensOf = (entry) => entry.tokens || (entry.tokens = tokenize(entry.msg.content));
+  const matched = new Set();
+
+  for (const clause of parsed.clauses) {
+    const inTitle = (clause.field === 'title' || !messageFiltered) && clauseMatchesTokens(clause, title.tokens);
+    const hits = clause.field === 'title' ? [] : messages.filter((entry) => clauseMatchesTokens(clause, tokensOf(entry)));
+
+    if (clause.negate) {
+      if (inTitle || hits.length > 0) return null;
+      continue;
+    }
+    if (!inTitle && hits.length === 0) return null;
+    hits.forEach((entry) => matched.add(entry.index));
+  }
+
+  for (const { regex, negate } of parsed.regexes) {
+    const inTitle = !messageFiltered && regex.test(title.text);
+    const hits = messages.filter((entry) => regex.test(entry.msg.content || ''));
+
+    if (negate) {
+      if (inTitle || hits.length > 0) return null;
+      continue;
+    }
+    if (!inTitle && hits.length === 0) return null;
+    hits.forEach((entry) => matched.add(entry.index));
+  }
+
+  // Filter-only queries (has:code, role:user …): every passing message matched
+  const hasPositiveText = parsed.clauses.some((c) => !c.negate && c.field !== 'title') ||
+    parsed.regexes.some((r) => !r.negate);
+  if (!hasPositiveText && messageFiltered) messages.forEach((entry) => matched.add(entry.index));
+
+  const all = conversation.messages || [];
+  return {
+    messages: Array.from(matched).sort((a, b) => a - b).map((index) => ({ index, nodeId: all[index].nodeId })),
+  };
+}
+
+function isEligibleMessage(msg, parsed) {
+  if (parsed.roles.length > 0 && !parsed.roles.includes(msg.role)) return false;
+  if (!parsed.hasCode && parsed.langs.length === 0) return true;
+
+  const langs = codeLanguages(msg);
+  if (langs === null) return false;
+  return parsed.langs.every((lang) => langs.includes(lang));
+}
+
+/**
+ * Languages of a message's code blocks ('' for unlabelled ones), or null
+ * when it has none
+ */
+function codeLanguages(msg) {
+  const langs = [];
+  const content = msg.content || '';
+  const html = msg.contentHtml || '';
+
+  for (const m of content.matchAll(/^\s*```([\w+#.-]*)/gm)) langs.push(m[1].toLowerCase());
+  for (const m of html.matchAll(/<pre\b[^>]*>\s*(?:<code\b([^>]*)>)?/gi)) {
+    const lang = /language-([\w+#.-]+)/i.exec(m[1] || '');
+    langs.push(lang ? lang[1].toLowerCase() : '');
+  }
+
+  return langs.length > 0 ? langs : null;
+}
+
+/**
+ * Whether a term or phrase clause occurs in a token list
+ */
+function clauseMatchesTokens(clause, tokens) {
+  if (clause.type === 'term') {
+    const [term] = clause.terms;
+    return tokens.some((t) => (clause.prefix ? t.startsWith(term) : t === term));
+  }
+
+  const n = clause.terms.length;
+  for (let i = 0; i + n <= tokens.length; i++) {
+    if (clause.terms.every((term, j) => tokens[i + j] === term)) return true;
+  }
+  return false;
+}
+
+/**
+ * Character ranges of `text` that the query's (positive) text clauses and
+ * regexes match, sorted and merged — what the viewer highlights. Title-only
+ * clauses are left out.
+ * @returns {number[][]} [start, end) pairs
+ */
+function findMatchRanges(text, parsed) {
+  const ranges = [];
+  const clauses = parsed.clauses.filter((clause) => !clause.negate && clause.field !== 'title');
+
+  if (clauses.length > 0) {
+    const spans = tokenSpans(text);
+    clauses.forEach((clause) => {
+      const n = clause.terms.length;
+      for (let i = 0; i + n <= spans.length; i++) {
+        const found = clause.terms.every((term, j) =>
+          clause.prefix ? spans[i + j].token.startsWith(term) : spans[i + j].token === term
+        );
+        if (found) ranges.push([spans[i].start, spans[i + n - 1].end]);
+      }
+    });
+  }
+
+  parsed.regexes.filter((r) => !r.negate).forEach(({ regex }) => {
+    const global = new RegExp(regex.source, regex.flags.includes('g') ? regex.flags : regex.flags + 'g');
+    for (const m of String(text || '').matchAll(global)) {
+      if (m[0].length > 0) ranges.push([m.index, m.index + m[0].length]);
+    }
+  });
+
+  ranges.sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+  return ranges.reduce((merged, range) => {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1]) last[1] = Math.max(last[1], range[1]);
+    else merged.push(range.slice());
+    return merged;
+  }, []);
+}
+
+// Sidebar snippet: about this many characters, starting a little before the first hit
+const SNIPPET_LENGTH = 160;
+const SNIPPET_LEAD = 40;
+
+/**
+ * Count the hits in a conversation's matched messages and cut a snippet
+ * around the best passage: the window with the most distinct matched words,
+ * then the most hits.
+ *
+ * @param {Object} conversation - hydrated record
+ * @param {{ index: number }[]} matches - from matchConversation
+ * @returns {{ hitCount: number, snippet: { index, nodeId, role, text, highlights: number[][] } | null }}
+ */
+function summarizeHits(conversation, parsed, matches) {
+  const messages = conversation.messages || [];
+  let hitCount = 0;
+  let best = null;
+
+  matches.forEach(({ index }) => {
+    const msg = messages[index];
+    if (!msg) return;
+
+    const text = String(msg.content || '').replace(/\s+/g, ' ').trim();
+    const ranges = findMatchRanges(text, parsed);
+    hitCount += ranges.length;
+
+    ranges.forEach(([start]) => {
+      const inWindow = ranges.filter(([s, e]) => s >= start && e <= start + SNIPPET_LENGTH - SNIPPET_LEAD);
+      const distinct = new Set(inWindow.map(([s, e]) => foldToken(text.slice(s, e)))).size;
+      if (!best || distinct > best.distinct || (distinct === best.distinct && inWindow.length > best.count)) {
+        best = { msg, index, text, start, distinct, count: inWindow.length, ranges };
+      }
+    });
+  });
+
+  if (!best) return { hitCount, snippet: null };
+
+  // Start at a word boundary a little before the hit
+  let from = Math.max(0, best.start - SNIPPET_LEAD);
+  if (from > 0) {
+    const space = best.text.indexOf(' ', from);
+    if (space !== -1 && space < best.start) from = space + 1;
+  }
+  let to = Math.min(best.text.length, from + SNIPPET_LENGTH);
+  if (to < best.text.length) {
+    const space = best.text.lastIndexOf(' ', to);
+    if (space > from) to = space;
+  }
+
+  const prefix = from > 0 ? '…' : '';
+  const highlights = best.ranges
+    .filter(([s, e]) => s >= from && e <= to)
+    .map(([s, e]) => [s - from + prefix.length, e - from + prefix.length]);
+
+  return {
+    hitCount,
+    snippet: {
+      index: best.index,
+      nodeId: best.msg.nodeId,
+      role: best.msg.role,
+      text: prefix + best.text.slice(from, to) + (to < best.text.length ? '…' : ''),
+      highlights,
+    },
+  };
+}
+
+/**
+ * BM25 contribution of one term in one document
+ * @param {{ tf, titleTf }} posting
+ * @param {number} docFrequency - documents containing the term
+ * @param {{ docCount, avgLength }} stats
+ */
+function scorePosting(posting, docFrequency, docLength, stats) {
+  const tf = posting.tf + TITLE_BOOST * posting.titleTf;
+  const idf = Math.log(1 + (stats.docCount - docFrequency + 0.5) / (docFrequency + 0.5));
+  const norm = 1 - BM25_B + BM25_B * (docLength / (stats.avgLength || 1));
+  return idf * ((tf * (BM25_K1 + 1)) / (tf + BM25_K1 * norm));
+}
+
+/**
+ * Whether a document contains `terms` as consecutive tokens
+ * @param {number[][]} positionLists - positions of each phrase term, in order
+ */
+function hasPhrase(positionLists) {
+  const [first, ...rest] = positionLists;
+  const sets = rest.map((list) => new Set(list));
+  return first.some((start) => sets.every((set, i) => set.has(start + i + 1)));
+}
+
+if (typeof globalThis !== 'undefined') {
+  globalThis.ChatSaverSearch = {
+    PREFIX_WEIGHT,
+    tokenize,
+    buildSearchDocument,
+    parseSearchQuery,
+    isEmptyQuery,
+    matchConversation,
+    findMatchRanges,
+    summarizeHits,
+    scorePosting,
+    hasPhrase,
+  };
+}
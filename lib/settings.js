@@ -0,0 +1,194 @@
+/**
+ * Settings for Offline Chat Saver
+ * Kept in chrome.storage.local and shared by the content scripts (which
+ * apply capture changes live), the options page, the popup and the
+ * background worker (trash retention).
+ *
+ * Capture rules keep sensitive chats out of the archive. Each rule is
+ *   { id, enabled, label, match, pattern, action }
+ * where `pattern` is a case-insensitive regex tested against the chat's
+ * `match` field, and `action` is:
+ *   'skip'    - never save a chat that matches
+ *   'redact'  - save it with the matching text replaced (content rules only)
+ *   'include' - when any include rule exists, save only chats matching one
+ * The content scripts run them before every save (applyCaptureRules in
+ * content/common.js).
+ */
+
+const SETTINGS_KEY = 'captureSettings';
+
+// 'auto' saves while you chat, 'manual' only when the indicator dot is
+// clicked, 'off' leaves the page alone (no dot either). Ordered from the
+// most to the least capture.
+const CAPTURE_MODES = ['auto', 'manual', 'off'];
+
+// What a rule is tested against: the title, the page URL, the Custom GPT
+// (ChatGPT /g/ pages) or project the chat belongs to, or the message text.
+// An empty pattern on 'gpt' or 'project' matches any GPT or project.
+const RULE_MATCHES = ['title', 'url', 'gpt', 'project', 'content'];
+const RULE_ACTIONS = ['skip', 'redact', 'include'];
+
+// Shapes of API keys, access tokens and private keys
+const SECRET_PATTERN = [
+  'sk-(?:proj-|ant-)?[A-Za-z0-9_-]{20,}',
+  'AKIA[0-9A-Z]{16}',
+  'gh[pousr]_[A-Za-z0-9]{36,}',
+  'github_pat_[A-Za-z0-9_]{40,}',
+  'xox[abprs]-[A-Za-z0-9-]{10,}',
+  'AIza[0-9A-Za-z_-]{35}',
+  '-----BEGIN [A-Z ]*PRIVATE KEY-----[\\s\\S]*?-----END [A-Z ]*PRIVATE KEY-----',
+].join('|');
+
+const DEFAULT_SETTINGS = {
+  captureMode: 'auto',
+  sources: { chatgpt: 'auto', claude: 'auto' },
+  saveDelayMs: 1800, // quiet time after the page changes before saving
+  periodicSaveMs: 15000, // save this often anyway; 0 turns it off
+  urlPollMs: 2000, // how often to check whether the page switched chats
+  firstSaveDelayMs: 2600, // wait after a chat opens before its first save
+  rules: [
+    {
+      id: 'rule-secrets',
+      enabled: true,
+      label: 'API keys, tokens and private keys',
+      match: 'content',
+      pattern: SECRET_PATTERN,
+      action: 'redact',
+    },
+  ],
+};
+
+// Allowed [min, max] of each interval (periodicSaveMs may also be 0)
+const SETTING_LIMITS = {
+  saveDelayMs: [300, 60000],
+  periodicSaveMs: [5000, 3600000],
+  urlPollMs: [500, 10000],
+  firstSaveDelayMs: [500, 30000],
+};
+
+// Days a deleted chat stays in the trash; 0 keeps it until emptied
+const TRASH_RETENTION_KEY = 'trashRetentionDays';
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+/**
+ * Fill in defaults and clamp intervals, so a missing, old or hand-edited
+ * stored value always gives usable settings
+ */
+function normalizeSettings(raw) {
+  const input = raw && typeof raw === 'object' ? raw : {};
+  const isMode = (mode) => CAPTURE_MODES.includes(mode);
+  const settings = {
+    captureMode: isMode(input.captureMode) ? input.captureMode : DEFAULT_SETTINGS.captureMode,
+    sources: {},
+  };
+
+  const sources = input.sources && typeof input.sources === 'object' ? input.sources : {};
+  Object.keys(DEFAULT_SETTINGS.sources).forEach((source) => {
+    settings.sources[source] = isMode(sources[source]) ? sources[source] : DEFAULT_SETTINGS.sources[source];
+  });
+
+  Object.keys(SETTING_LIMITS).forEach((key) => {
+    const [min, max] = SETTING_LIMITS[key];
+    const value = Number(input[key]);
+    if (!Number.isFinite(value)) settings[key] = DEFAULT_SETTINGS[key];
+    else if (key === 'periodicSaveMs' && value === 0) settings[key] = 0;
+    else settings[key] = Math.round(Math.min(max, Math.max(min, value)));
+  });
+
+  settings.rules = Array.isArray(input.rules)
+    ? input.rules.map(normalizeRule).filter(Boolean)
+    : DEFAULT_SETTINGS.rules.map((rule) => ({ ...rule }));
+
+  return settings;
+}
+
+/**
+ * A stored rule with defaults filled in, or null when it cannot be used.
+ * Rules with an invalid regex are kept (so the options page can show
+ * them) but never match.
+ */
+function normalizeRule(rule, index) {
+  if (!rule || typeof rule !== 'object' || !RULE_MATCHES.includes(rule.match)) return null;
+
+  const action = RULE_ACTIONS.includes(rule.action) ? rule.action : 'skip';
+  return {
+    id: typeof rule.id === 'string' && rule.id ? rule.id : `rule-${index + 1}`,
+    enabled: rule.enabled !== false,
+    label: typeof rule.label === 'string' ? rule.label.trim() : '',
+    match: rule.match,
+    pattern: typeof rule.pattern === 'string' ? rule.pattern : '',
+    // Only message text can be redacted; on anything else redact means skip
+    action: action === 'redact' && rule.match !== 'content' ? 'skip' : action,
+  };
+}
+
+/**
+ * The rule's regex, or null when its pattern is empty or invalid
+ * @param {string} [flags]
+ */
+function compileRulePattern(rule, flags = 'i') {
+  if (!rule.pattern) return null;
+  try {
+    return new RegExp(rule.pattern, flags);
+  } catch (err) {
+    return null;
+  }
+}
+
+async function getSettings() {
+  const stored = await chrome.storage.local.get(SETTINGS_KEY);
+  return normalizeSettings(stored[SETTINGS_KEY]);
+}
+
+/**
+ * Store settings (normalized first) and return what was stored
+ */
+async function saveSettings(settings) {
+  const normalized = normalizeSettings(settings);
+  await chrome.storage.local.set({ [SETTINGS_KEY]: normalized });
+  return normalized;
+}
+
+/**
+ * Call `callback(settings)` whenever the settings change, in any tab
+ */
+function onSettingsChanged(callback) {
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && changes[SETTINGS_KEY]) {
+      callback(normalizeSettings(changes[SETTINGS_KEY].newValue));
+    }
+  });
+}
+
+/**
+ * Capture mode on one site: the stricter of the global and the site's own
+ */
+function getCaptureMode(settings, source) {
+  const global = CAPTURE_MODES.indexOf(settings.captureMode);
+  const site = CAPTURE_MODES.indexOf(settings.sources[source] || 'auto');
+  return CAPTURE_MODES[Math.max(global, site)];
+}
+
+async function getTrashRetentionDays() {
+  const stored = await chrome.storage.local.get(TRASH_RETENTION_KEY);
+  const days = stored[TRASH_RETENTION_KEY];
+  return Number.isInteger(days) && days >= 0 ? days : DEFAULT_TRASH_RETENTION_DAYS;
+}
+
+if (typeof globalThis !== 'undefined') {
+  globalThis.ChatSaverSettings = {
+    CAPTURE_MODES,
+    RULE_MATCHES,
+    RULE_ACTIONS,
+    DEFAULT_SETTINGS,
+    SETTING_LIMITS,
+    TRASH_RETENTION_KEY,
+    normalizeSettings,
+    compileRulePattern,
+    getSettings,
+    saveSettings,
+    onSettingsChanged,
+    getCaptureMode,
+    getTrashRetentionDays,
+  };
+}
@@ -0,0 +1,121 @@
+/**
+ * Conversation tree helpers for Offline Chat Saver
+ * Shared by the background worker (via importScripts) and the viewer.
+ *
+ * Regenerated answers and edited prompts make a conversation a tree, so it
+ * is stored as message nodes plus the active leaf:
+ *   mapping:     { [nodeId]: { id, parent, children: [nodeId], message, seenAt } }
+ *   currentNode: nodeId of the active leaf
+ * The flat `messages` array used for search, export and rendering is the
+ * path from the root to `currentNode`.
+ */
+
+/**
+ * Build a single-branch tree from a flat message list (records saved
+ * before branches were captured)
+ */
+function buildLinearTree(messages) {
+  const mapping = {};
+  let parent = null;
+
+  (messages || []).forEach((msg, i) => {
+    const { nodeId, index, ...message } = msg;
+    const id = nodeId || 'node-' + i;
+    mapping[id] = { id, parent, children: [], message };
+    if (parent) mapping[parent].children.push(id);
+    parent = id;
+  });
+
+  return { mapping, currentNode: parent };
+}
+
+/**
+ * Tree of a stored record, converting legacy flat records on the fly
+ */
+function getTree(record) {
+  if (record && record.mapping) {
+    return { mapping: record.mapping, currentNode: record.currentNode || null };
+  }
+  return buildLinearTree(record ? record.messages : []);
+}
+
+function getRootIds(mapping) {
+  return Object.keys(mapping).filter((id) => !mapping[id].parent);
+}
+
+/**
+ * Ids of a node and its alternatives (children of the same parent), in order
+ */
+function getSiblings(mapping, nodeId) {
+  const node = mapping[nodeId];
+  if (!node) return [];
+  return node.parent && mapping[node.parent] ? mapping[node.parent].children : getRootIds(mapping);
+}
+
+/**
+ * Nodes from the root down to `leafId`
+ */
+function getPath(mapping, leafId) {
+  const path = [];
+  const seen = new Set();
+  let id = leafId;
+
+  while (id && mapping[id] && !seen.has(id)) {
+    seen.add(id);
+    path.unshift(mapping[id]);
+    id = mapping[id].parent;
+  }
+
+  return path;
+}
+
+/**
+ * Flat message list for the path to `leafId`; each message carries its
+ * nodeId so callers can look up branches.
+ */
+function getPathMessages(mapping, leafId) {
+  return getPath(mapping, leafId).map((node, index) => ({
+    ...node.message,
+    nodeId: node.id,
+    index,
+  }));
+}
+
+/**
+ * Follow a node down to a leaf, taking the most recently seen child at each
+ * step — the branch the user was last on below that point.
+ */
+function descendToLeaf(mapping, nodeId) {
+  let id = nodeId;
+
+  while (mapping[id] && mapping[id].children.length > 0) {
+    const children = mapping[id].children.filter((c) => mapping[c]);
+    if (children.length === 0) break;
+    id = children.reduce((best, c) =>
+      (mapping[c].seenAt || '') > (mapping[best].seenAt || '') ? c : best
+    );
+  }
+
+  return id;
+}
+
+/**
+ * Stored record → record with the derived `messages` of the active path
+ */
+function hydrateConversation(record) {
+  if (!record || !record.mapping) return record;
+  return { ...record, messages: getPathMessages(record.mapping, record.currentNode) };
+}
+
+if (typeof globalThis !== 'undefined') {
+  globalThis.ChatSaverTree = {
+    buildLinearTree,
+    getTree,
+    getRootIds,
+    getSiblings,
+    getPath,
+    getPathMessages,
+    descendToLeaf,
+    hydrateConversation,
+  };
+}
@@ -0,0 +1,210 @@
+/**
+ * Minimal ZIP reader and writer for Offline Chat Saver
+ * Reads the archives that ChatGPT / Claude "Export data" produce, and
+ * writes the viewer's bulk exports, without any network or third-party
+ * code. Supports stored and deflated entries (via DecompressionStream /
+ * CompressionStream); no ZIP64, no encryption.
+ */
+
+const ZIP_EOCD_SIGNATURE = 0x06054b50;
+const ZIP_CENTRAL_SIGNATURE = 0x02014b50;
+const ZIP_LOCAL_SIGNATURE = 0x04034b50;
+
+/**
+ * List the entries of a ZIP file
+ * @param {ArrayBuffer} buffer
+ * @returns {{ name, method, compressedSize, size, offset }[]}
+ */
+function listZipEntries(buffer) {
+  const view = new DataView(buffer);
+
+  // End of central directory: last 22+ bytes (plus an optional comment)
+  let eocd = -1;
+  for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 22 - 0xffff); i--) {
+    if (view.getUint32(i, true) === ZIP_EOCD_SIGNATURE) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd === -1) throw new Error('Not a ZIP file');
+
+  const count = view.getUint16(eocd + 10, true);
+  let offset = view.getUint32(eocd + 16, true);
+  if (count === 0xffff || offset === 0xffffffff) {
+    throw new Error('ZIP64 archives are not supported; unzip it and import conversations.json instead');
+  }
+
+  const decoder = new TextDecoder();
+  const entries = [];
+
+  for (let i = 0; i < count; i++) {
+    if (view.getUint32(offset, true) !== ZIP_CENTRAL_SIGNATURE) {
+      throw new Error('Corrupt ZIP central directory');
+    }
+
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+
+    entries.push({
+      name: decoder.decode(new Uint8Array(buffer, offset + 46, nameLength)),
+      method: view.getUint16(offset + 10, true),
+      compressedSize: view.getUint32(offset + 20, true),
+      size: view.getUint32(offset + 24, true),
+      offset: view.getUint32(offset + 42, true),
+    });
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+}
+
+/**
+ * Read (and inflate) one entry's bytes
+ * @returns {Promise<Uint8Array>}
+ */
+async function readZipEntry(buffer, entry) {
+  const view = new DataView(buffer);
+  if (view.getUint32(entry.offset, true) !== ZIP_LOCAL_SIGNATURE) {
+    throw new Error(`Corrupt ZIP entry: ${entry.name}`);
+  }
+
+  const nameLength = view.getUint16(entry.offset + 26, true);
+  const extraLength = view.getUint16(entry.offset + 28, true);
+  const start = entry.offset + 30 + nameLength + extraLength;
+  const data = new Uint8Array(buffer, start, entry.compressedSize);
+
+  if (entry.method === 0) return data;
+  if (entry.method !== 8) {
+    throw new Error(`Unsupported ZIP compression method ${entry.method} for ${entry.name}`);
+  }
+
+  const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Find an entry by file name (in any folder) and return it as text
+ * @returns {Promise<string|null>} null when the archive has no such file
+ */
+async function readZipText(buffer, fileName) {
+  const entry = listZipEntries(buffer).find((e) =>
+    e.name === fileName || e.name.endsWith('/' + fileName)
+  );
+  if (!entry) return null;
+
+  return new TextDecoder().decode(await readZipEntry(buffer, entry));
+}
+
+/**
+ * Build a ZIP file. Entries are deflated when that makes them smaller and
+ * stored otherwise; names are written as UTF-8.
+ * @param {{ name: string, data: string|Uint8Array, date?: Date }[]} files
+ * @returns {Promise<Uint8Array>}
+ */
+async function createZip(files) {
+  const encoder = new TextEncoder();
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const file of files) {
+    const name = encoder.encode(file.name);
+    const data = typeof file.data === 'string' ? encoder.encode(file.data) : file.data;
+    const deflated = await deflateRaw(data);
+    const method = deflated.length < data.length ? 8 : 0;
+    const body = method === 8 ? deflated : data;
+    const { time, date } = toDosDateTime(file.date || new Date());
+    const crc = crc32(data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, ZIP_LOCAL_SIGNATURE, true);
+    local.setUint16(4, 20, true); // version needed: 2.0
+    local.setUint16(6, 0x0800, true); // UTF-8 names
+    local.setUint16(8, method, true);
+    local.setUint16(10, time, true);
+    local.setUint16(12, date, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, body.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, name.length, true);
+    locals.push(new Uint8Array(local.buffer), name, body);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, ZIP_CENTRAL_SIGNATURE, true);
+    central.setUint16(4, 20, true);
+    central.setUint16(6, 20, true);
+    central.setUint16(8, 0x0800, true);
+    central.setUint16(10, method, true);
+    central.setUint16(12, time, true);
+    central.setUint16(14, date, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, body.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, name.length, true);
+    central.setUint32(42, offset, true);
+    centrals.push(new Uint8Array(central.buffer), name);
+
+    offset += 30 + name.length + body.length;
+  }
+
+  const centralSize = centrals.reduce((sum, part) => sum + part.length, 0);
+  const eocd = new DataView(new ArrayBuffer(22));
+  eocd.setUint32(0, ZIP_EOCD_SIGNATURE, true);
+  eocd.setUint16(8, files.length, true);
+  eocd.setUint16(10, files.length, true);
+  eocd.setUint32(12, centralSize, true);
+  eocd.setUint32(16, offset, true);
+
+  const parts = [...locals, ...centrals, new Uint8Array(eocd.buffer)];
+  const out = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let position = 0;
+  parts.forEach((part) => {
+    out.set(part, position);
+    position += part.length;
+  });
+  return out;
+}
+
+async function deflateRaw(data) {
+  const stream = new Blob([data]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+let zipCrcTable = null;
+
+function crc32(data) {
+  if (!zipCrcTable) {
+    zipCrcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      zipCrcTable[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xffffffff;
+  for (let i = 0; i < data.length; i++) crc = zipCrcTable[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * MS-DOS time and date fields (local time, 2-second resolution, from 1980)
+ */
+function toDosDateTime(when) {
+  const year = Math.max(when.getFullYear(), 1980);
+  return {
+    time: (when.getHours() << 11) | (when.getMinutes() << 5) | (when.getSeconds() >> 1),
+    date: ((year - 1980) << 9) | ((when.getMonth() + 1) << 5) | when.getDate(),
+  };
+}
+
+if (typeof globalThis !== 'undefined') {
+  globalThis.ChatSaverZip = {
+    listZipEntries,
+    readZipEntry,
+    readZipText,
+    createZip,
+  };
+}
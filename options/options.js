@@ -0,0 +1,232 @@
+/**
+ * Options Page Script
+ * Edits the capture settings of lib/settings.js, saving on every change;
+ * content scripts in open tabs pick them up at once.
+ */
+
+const Settings = globalThis.ChatSaverSettings;
+
+document.addEventListener('DOMContentLoaded', initOptions);
+
+async function initOptions() {
+    const form = document.getElementById('optionsForm');
+    const trashRetention = document.getElementById('trashRetention');
+    const resetBtn = document.getElementById('resetBtn');
+    const ruleList = document.getElementById('ruleList');
+
+    form.querySelectorAll('[data-interval]').forEach((input) => {
+        const [min, max] = Settings.SETTING_LIMITS[input.dataset.interval];
+        input.min = input.dataset.interval === 'periodicSaveMs' ? '0' : String(min / 1000);
+        input.max = String(max / 1000);
+    });
+
+    const settings = await Settings.getSettings();
+    renderSettings(form, settings);
+    renderRules(settings.rules);
+    trashRetention.value = String(await Settings.getTrashRetentionDays());
+
+    form.addEventListener('submit', (e) => e.preventDefault());
+    form.addEventListener('change', (e) => {
+        if (e.target === trashRetention) saveTrashRetention(trashRetention.value);
+        else saveForm(form);
+    });
+
+    // Flag a broken regex while it is typed; it is saved on change as usual
+    ruleList.addEventListener('input', (e) => {
+        if (e.target.classList.contains('rule-pattern')) checkPattern(e.target);
+    });
+    ruleList.addEventListener('click', (e) => {
+        const button = e.target.closest('.rule-delete');
+        if (!button) return;
+        button.closest('.rule-row').remove();
+        saveForm(form);
+    });
+    document.getElementById('addRuleBtn').addEventListener('click', () => {
+        const row = createRuleRow({
+            id: `rule-${Date.now()}`,
+            enabled: true,
+            label: '',
+            match: 'title',
+            pattern: '',
+            action: 'skip',
+        });
+        ruleList.appendChild(row);
+        row.querySelector('.rule-pattern').focus();
+    });
+
+    resetBtn.addEventListener('click', async () => {
+        const settings = await Settings.saveSettings(Settings.DEFAULT_SETTINGS);
+        renderSettings(form, settings);
+        renderRules(settings.rules);
+        showStatus('Defaults restored');
+    });
+}
+
+function renderSettings(form, settings) {
+    form.elements.captureMode.value = settings.captureMode;
+    form.querySelectorAll('[data-source]').forEach((select) => {
+        select.value = settings.sources[select.dataset.source];
+    });
+    form.querySelectorAll('[data-interval]').forEach((input) => {
+        input.value = String(settings[input.dataset.interval] / 1000);
+    });
+}
+
+function renderRules(rules) {
+    const ruleList = document.getElementById('ruleList');
+    ruleList.innerHTML = '';
+    rules.forEach((rule) => ruleList.appendChild(createRuleRow(rule)));
+}
+
+const RULE_MATCH_LABELS = {
+    title: 'Title',
+    url: 'URL',
+    gpt: 'Custom GPT',
+    project: 'Project',
+    content: 'Message text',
+};
+
+const RULE_ACTION_LABELS = {
+    skip: 'Skip',
+    redact: 'Redact',
+    include: 'Save only',
+};
+
+function createRuleRow(rule) {
+    const row = document.createElement('div');
+    row.className = 'rule-row';
+    row.dataset.ruleId = rule.id;
+    row.classList.toggle('disabled', !rule.enabled);
+
+    const enabled = document.createElement('input');
+    enabled.type = 'checkbox';
+    enabled.className = 'rule-enabled';
+    enabled.checked = rule.enabled;
+    enabled.title = 'Enabled';
+    enabled.addEventListener('change', () => row.classList.toggle('disabled', !enabled.checked));
+
+    const label = document.createElement('input');
+    label.type = 'text';
+    label.className = 'rule-label';
+    label.placeholder = 'Name (optional)';
+    label.value = rule.label;
+
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'rule-delete';
+    remove.title = 'Delete rule';
+    remove.textContent = '\u00d7';
+
+    const selects = document.createElement('div');
+    selects.className = 'rule-selects';
+    selects.append(
+        createSelect('rule-match', RULE_MATCH_LABELS, rule.match),
+        createSelect('rule-action', RULE_ACTION_LABELS, rule.action)
+    );
+
+    const pattern = document.createElement('input');
+    pattern.type = 'text';
+    pattern.className = 'rule-pattern';
+    pattern.placeholder = 'Pattern (regular expression)';
+    pattern.spellcheck = false;
+    pattern.value = rule.pattern;
+    checkPattern(pattern);
+
+    row.append(enabled, label, remove, selects, pattern);
+    return row;
+}
+
+function createSelect(className, labels, value) {
+    const select = document.createElement('select');
+    select.className = className;
+    Object.entries(labels).forEach(([optionValue, text]) => {
+        select.appendChild(new Option(text, optionValue));
+    });
+    select.value = value;
+    return select;
+}
+
+function checkPattern(input) {
+    const invalid = !!input.value && !Settings.compileRulePattern({ pattern: input.value });
+    input.classList.toggle('invalid', invalid);
+    input.title = invalid ? 'Not a valid regular expression: this rule never matches' : '';
+}
+
+function readRules() {
+    return Array.from(document.querySelectorAll('#ruleList .rule-row')).map((row) => ({
+        id: row.dataset.ruleId,
+        enabled: row.querySelector('.rule-enabled').checked,
+        label: row.querySelector('.rule-label').value,
+        match: row.querySelector('.rule-match').value,
+        pattern: row.querySelector('.rule-pattern').value,
+        action: row.querySelector('.rule-action').value,
+    }));
+}
+
+function readSettings(form) {
+    const settings = { captureMode: form.elements.captureMode.value, sources: {} };
+    form.querySelectorAll('[data-source]').forEach((select) => {
+        settings.sources[select.dataset.source] = select.value;
+    });
+    form.querySelectorAll('[data-interval]').forEach((input) => {
+        settings[input.dataset.interval] = Math.round(parseFloat(input.value) * 1000);
+    });
+    settings.rules = readRules();
+    return settings;
+}
+
+async function saveForm(form) {
+    try {
+        // Show what was stored: out-of-range intervals come back clamped,
+        // redact rules on anything but message text as skip rules. Rule
+        // rows are only rebuilt when that changed them, to keep focus.
+        const edited = readSettings(form);
+        const stored = await Settings.saveSettings(edited);
+        renderSettings(form, stored);
+        if (JSON.stringify(stored.rules) !== JSON.stringify(edited.rules)) {
+            renderRules(stored.rules);
+        }
+        showStatus('Saved');
+    } catch (err) {
+        showStatus(`Failed to save: ${err.message}`);
+    }
+}
+
+async function saveTrashRetention(value) {
+    try {
+        const response = await sendMessage('SET_TRASH_RETENTION', { days: parseInt(value, 10) });
+        if (!response || response.success !== true) {
+            throw new Error(response && response.error ? response.error : 'No response');
+        }
+        showStatus('Saved');
+    } catch (err) {
+        showStatus(`Failed to save: ${err.message}`);
+    }
+}
+
+let statusTimer = null;
+
+function showStatus(text) {
+    const status = document.getElementById('saveStatus');
+    status.textContent = text;
+    clearTimeout(statusTimer);
+    statusTimer = setTimeout(() => {
+        status.textContent = '';
+    }, 2000);
+}
+
+function sendMessage(type, data = {}) {
+    return new Promise((resolve, reject) => {
+        try {
+            chrome.runtime.sendMessage({ type, ...data }, (response) => {
+                if (chrome.runtime.lastError) {
+                    reject(new Error(chrome.runtime.lastError.message));
+                    return;
+                }
+                resolve(response);
+            });
+        } catch (err) {
+            reject(err);
+        }
+    });
+}
@@ -12,30 +12,54 @@ async function initPopup() {
     const totalMsgs = document.getElementById('totalMsgs');
     const sourcesDiv = document.getElementById('sources');
     const openViewerBtn = document.getElementById('openViewer');
+    const openOptionsBtn = document.getElementById('openOptions');
 
     await updateTabStatus(statusDot, statusText);
     await loadStats(totalConvos, totalMsgs, sourcesDiv);
 
-    openViewerBtn.addEventListener('click', () => {
-        chrome.tabs.create({ url: chrome.runtime.getURL('viewer/viewer.html') });
+    openViewerBtn.addEventListener('click', () => openViewer());
+    openOptionsBtn.addEventListener('click', () => {
+        chrome.runtime.openOptionsPage();
         window.close();
     });
+
+    // Clicking a source row opens the viewer filtered to that source
+    sourcesDiv.addEventListener('click', (e) => {
+        const item = e.target.closest('.source-item');
+        if (item && item.dataset.source) openViewer(item.dataset.source);
+    });
+}
+
+function openViewer(source) {
+    const query = source ? `?source=${encodeURIComponent(source)}` : '';
+    chrome.tabs.create({ url: chrome.runtime.getURL('viewer/viewer.html' + query) });
+    window.close();
 }
 
 async function updateTabStatus(statusDot, statusText) {
     try {
         const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
         const url = tab && tab.url ? tab.url : '';
+        const source = url.includes('chat.openai.com') || url.includes('chatgpt.com')
+            ? 'chatgpt'
+            : url.includes('claude.ai') ? 'claude' : null;
 
-        if (url.includes('chat.openai.com') || url.includes('chatgpt.com')) {
-            statusDot.classList.add('active');
-            statusText.textContent = 'Ready on ChatGPT';
+        if (source) {
+            const name = source === 'chatgpt' ? 'ChatGPT' : 'Claude';
+            const mode = globalThis.ChatSaverSettings.getCaptureMode(
+                await globalThis.ChatSaverSettings.getSettings(),
+                source
+            );
+            statusDot.classList.toggle('active', mode !== 'off');
+            statusText.textContent = mode === 'auto'
+                ? `Ready on ${name}`
+                : mode === 'manual' ? `Manual saving on ${name} (click the dot)` : `Saving is off on ${name}`;
             return;
         }
 
-        statusText.textContent = 'Open ChatGPT to start saving';
+        statusText.textContent = 'Open ChatGPT or Claude to start saving';
     } catch (err) {
-        statusText.textContent = 'Open ChatGPT to start saving';
+        statusText.textContent = 'Open ChatGPT or Claude to start saving';
     }
 }
 
@@ -68,7 +92,7 @@ function renderSources(sourcesDiv, sources) {
         .map(([source, count]) => {
             const sourceName = source === 'chatgpt' ? 'ChatGPT' : source === 'claude' ? 'Claude' : source;
             return `
-        <div class="source-item">
+        <div class="source-item" data-source="${source}">
           <span>${sourceName}</span>
           <span class="source-count">${count}</span>
         </div>
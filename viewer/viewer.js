@@ -1,5 +1,5 @@
 /**
- * Chatsave Viewer — ChatGPT only
+ * Chatsave Viewer — ChatGPT & Claude
  * Book typography · Chat bubbles · Light/dark theme · Animations
  * Nested list support · Fullscreen mode
  */
@@ -12,7 +12,30 @@
     let filteredConversations = [];
     let currentConversation = null;
     let searchQuery = '';
+    let searchResults = null;
+    let searchHits = new Map();
+    let searchSeq = 0;
+    let searchTimer = null;
+    let searchMarks = [];
+    let currentMark = -1;
+    let sourceFilter = 'all';
+    let folders = [];
+    let folderFilter = 'all'; // 'all', 'unfiled' or a folder id
+    let tagFilter = '';
+    let starredOnly = false;
+    let selectMode = false;
+    let selectedIds = new Set();
+    let lastSelectedId = null;
+    let trashEntries = [];
+    let undoIds = [];
+    let undoTimer = null;
     let loading = false;
+    let revisions = [];
+    let viewingRevision = null;
+    let activeLeaf = null;
+    let annotations = [];
+    let placedAnnotations = new Set();
+    let pendingHighlight = null;
 
     // ── DOM ──
     const searchInput = document.getElementById('searchInput');
@@ -21,6 +44,7 @@
     const emptyState = document.getElementById('emptyState');
     const chatContent = document.getElementById('chatContent');
     const chatTitle = document.getElementById('chatTitle');
+    const chatSource = document.getElementById('chatSource');
     const chatDate = document.getElementById('chatDate');
     const chatMsgCount = document.getElementById('chatMsgCount');
     const chatMessages = document.getElementById('chatMessages');
@@ -32,6 +56,87 @@
     const sidebarReopen = document.getElementById('sidebarReopen');
     const sidebar = document.getElementById('sidebar');
     const themeToggle = document.getElementById('themeToggle');
+    const sourceFilterBar = document.getElementById('sourceFilter');
+    const exportAllBtn = document.getElementById('exportAllBtn');
+    const importBtn = document.getElementById('importBtn');
+    const importInput = document.getElementById('importInput');
+    const historyBtn = document.getElementById('historyBtn');
+    const historyPanel = document.getElementById('historyPanel');
+    const historyList = document.getElementById('historyList');
+    const closeHistory = document.getElementById('closeHistory');
+    const revisionBanner = document.getElementById('revisionBanner');
+    const revisionBannerText = document.getElementById('revisionBannerText');
+    const restoreRevisionBtn = document.getElementById('restoreRevisionBtn');
+    const exitRevisionBtn = document.getElementById('exitRevisionBtn');
+    const conflictBanner = document.getElementById('conflictBanner');
+    const conflictBannerText = document.getElementById('conflictBannerText');
+    const conflictHistoryBtn = document.getElementById('conflictHistoryBtn');
+    const dismissConflictBtn = document.getElementById('dismissConflictBtn');
+    const folderFilterSelect = document.getElementById('folderFilter');
+    const newFolderBtn = document.getElementById('newFolderBtn');
+    const renameFolderBtn = document.getElementById('renameFolderBtn');
+    const deleteFolderBtn = document.getElementById('deleteFolderBtn');
+    const tagFilterSelect = document.getElementById('tagFilter');
+    const starredFilterBtn = document.getElementById('starredFilterBtn');
+    const selectModeBtn = document.getElementById('selectModeBtn');
+    const bulkBar = document.getElementById('bulkBar');
+    const bulkCount = document.getElementById('bulkCount');
+    const bulkFolderSelect = document.getElementById('bulkFolderSelect');
+    const bulkTagBtn = document.getElementById('bulkTagBtn');
+    const bulkPinBtn = document.getElementById('bulkPinBtn');
+    const bulkUnpinBtn = document.getElementById('bulkUnpinBtn');
+    const bulkSelectAllBtn = document.getElementById('bulkSelectAllBtn');
+    const bulkExportSelect = document.getElementById('bulkExportSelect');
+    const bulkDeleteBtn = document.getElementById('bulkDeleteBtn');
+    const chatTags = document.getElementById('chatTags');
+    const chatFolderSelect = document.getElementById('chatFolderSelect');
+    const renameBtn = document.getElementById('renameBtn');
+    const pinBtn = document.getElementById('pinBtn');
+    const starBtn = document.getElementById('starBtn');
+    const tagBtn = document.getElementById('tagBtn');
+    const searchNav = document.getElementById('searchNav');
+    const matchCounter = document.getElementById('matchCounter');
+    const prevMatchBtn = document.getElementById('prevMatchBtn');
+    const nextMatchBtn = document.getElementById('nextMatchBtn');
+    const notesBtn = document.getElementById('notesBtn');
+    const notesPanel = document.getElementById('notesPanel');
+    const notesList = document.getElementById('notesList');
+    const addNoteBtn = document.getElementById('addNoteBtn');
+    const closeNotes = document.getElementById('closeNotes');
+    const highlightPopover = document.getElementById('highlightPopover');
+    const highlightsBtn = document.getElementById('highlightsBtn');
+    const highlightsView = document.getElementById('highlightsView');
+    const highlightsList = document.getElementById('highlightsList');
+    const highlightsCount = document.getElementById('highlightsCount');
+    const closeHighlights = document.getElementById('closeHighlights');
+    const trashBtn = document.getElementById('trashBtn');
+    const trashView = document.getElementById('trashView');
+    const trashList = document.getElementById('trashList');
+    const trashCount = document.getElementById('trashCount');
+    const trashRetentionSelect = document.getElementById('trashRetentionSelect');
+    const emptyTrashBtn = document.getElementById('emptyTrashBtn');
+    const closeTrash = document.getElementById('closeTrash');
+    const undoToast = document.getElementById('undoToast');
+    const undoToastText = document.getElementById('undoToastText');
+    const undoBtn = document.getElementById('undoBtn');
+    const ignoreBtn = document.getElementById('ignoreBtn');
+
+    const Tree = window.ChatSaverTree;
+    const Search = window.ChatSaverSearch;
+    const ChatSaverImporters = window.ChatSaverImporters;
+    const ChatSaverZip = window.ChatSaverZip;
+    const ChatSaverAssets = window.ChatSaverAssets;
+    const ChatSaverDB = window.ChatSaverDB;
+    const IMPORT_BATCH_SIZE = 100;
+    const IMPORT_ASSET_BATCH_CHARS = 16 * 1024 * 1024; // base64 per import message
+    const SEARCH_DELAY_MS = 150;
+    const UNDO_TOAST_MS = 8000;
+    const ANCHOR_CONTEXT = 32; // characters of context kept around a highlight
+
+    const SOURCE_LABELS = {
+        chatgpt: 'ChatGPT',
+        claude: 'Claude',
+    };
 
     /* =============================================
        Theme
@@ -113,8 +218,29 @@
         return Array.isArray(response.conversations) ? response.conversations : [];
     }
 
-    async function removeConversation(id) {
-        await sendMessage('DELETE_CONVERSATION', { id });
+    async function trashConversations(ids) {
+        const response = await sendMessage('DELETE_CONVERSATIONS', { ids });
+        return Array.isArray(response.trashed) ? response.trashed : [];
+    }
+
+    async function fetchFolders() {
+        const response = await sendMessage('GET_FOLDERS');
+        return Array.isArray(response.folders) ? response.folders : [];
+    }
+
+    async function fetchAnnotations(conversationId) {
+        const response = await sendMessage('GET_ANNOTATIONS', conversationId ? { conversationId } : {});
+        return Array.isArray(response.annotations) ? response.annotations : [];
+    }
+
+    async function fetchRevisions(conversationId) {
+        const response = await sendMessage('GET_REVISIONS', { conversationId });
+        return Array.isArray(response.revisions) ? response.revisions : [];
+    }
+
+    async function fetchRevision(id) {
+        const response = await sendMessage('GET_REVISION', { id });
+        return response.revision || null;
     }
 
     /* =============================================
@@ -133,7 +259,8 @@
             allConversations.sort((a, b) =>
                 new Date(b.updatedAt || b.savedAt) - new Date(a.updatedAt || a.savedAt)
             );
-            applyFilters();
+            renderTagOptions();
+            await runSearch();
             updateStats();
 
             if (selectedId) {
@@ -152,23 +279,223 @@
     function applyFilters() {
         let results = allConversations.slice();
 
-        if (searchQuery.trim()) {
-            const q = searchQuery.toLowerCase().trim();
-            results = results.filter((conv) => {
-                if (conv.title && conv.title.toLowerCase().includes(q)) return true;
-                if (conv.messages) {
-                    return conv.messages.some(
-                        (msg) => msg.content && msg.content.toLowerCase().includes(q)
-                    );
-                }
-                return false;
-            });
+        if (sourceFilter !== 'all') {
+            results = results.filter((conv) => (conv.source || 'chatgpt') === sourceFilter);
+        }
+
+        if (folderFilter === 'unfiled') {
+            results = results.filter((conv) => !findFolder(conv.folderId));
+        } else if (folderFilter !== 'all') {
+            const within = getFolderAndDescendants(folderFilter);
+            results = results.filter((conv) => within.has(conv.folderId));
+        }
+        if (tagFilter) {
+            results = results.filter((conv) => (conv.tags || []).includes(tagFilter));
+        }
+        if (starredOnly) {
+            results = results.filter((conv) => conv.starredAt);
+        }
+
+        // Ranked hits from the search index; until the first answer for a
+        // new query arrives the previous list stays up
+        if (searchQuery.trim() && searchResults) {
+            const byId = new Map(results.map((conv) => [conv.id, conv]));
+            results = searchResults.map((hit) => byId.get(hit.id)).filter(Boolean);
+        } else {
+            // Pinned chats first (most recently pinned on top), the rest by date
+            const pinned = results.filter((conv) => conv.pinnedAt)
+                .sort((a, b) => b.pinnedAt.localeCompare(a.pinnedAt));
+            results = pinned.concat(results.filter((conv) => !conv.pinnedAt));
         }
 
         filteredConversations = results;
         renderConversationList();
     }
 
+    /**
+     * Query the background's full-text index for the search box contents.
+     * Responses to superseded queries are dropped.
+     * @param {Object} [options]
+     * @param {boolean} [options.jumpToMatch] - scroll the open chat to its first hit
+     */
+    async function runSearch(options = {}) {
+        const seq = ++searchSeq;
+
+        if (!searchQuery.trim()) {
+            searchResults = null;
+            searchHits = new Map();
+            applyFilters();
+            updateSearchHighlights();
+            return;
+        }
+
+        try {
+            const response = await sendMessage('SEARCH_CONVERSATIONS', { query: searchQuery });
+            if (seq !== searchSeq) return;
+            searchResults = Array.isArray(response.results) ? response.results : [];
+        } catch (err) {
+            if (seq !== searchSeq) return;
+            console.error('Search failed:', err);
+            searchResults = [];
+        }
+        searchHits = new Map(searchResults.map((hit) => [hit.id, hit]));
+        applyFilters();
+        updateSearchHighlights();
+        if (options.jumpToMatch) goToMatch(0);
+    }
+
+    /**
+     * Whether a displayed message is one the current search matched
+     */
+    function isSearchMatch(msg, index) {
+        const hit = currentConversation && searchHits.get(currentConversation.id);
+        if (!hit || !msg) return false;
+        return hit.matches.some((m) => (m.nodeId ? m.nodeId === msg.nodeId : m.index === index));
+    }
+
+    /* =============================================
+       In-chat search hits
+       ============================================= */
+
+    /**
+     * Outline the messages of the open conversation that matched the search
+     * and highlight every hit inside them. Hits are collected in document
+     * order for the next/previous controls.
+     */
+    function updateSearchHighlights() {
+        clearSearchHighlights();
+        if (!currentConversation || viewingRevision) {
+            updateSearchNav();
+            return;
+        }
+
+        const parsed = Search.parseSearchQuery(searchQuery);
+        const messages = getDisplayedMessages();
+        chatMessages.querySelectorAll('.message').forEach((el, i) => {
+            const matched = isSearchMatch(messages[i], i);
+            el.classList.toggle('search-match', matched);
+            if (!matched) return;
+
+            const content = el.querySelector('.message-content');
+            if (content) searchMarks.push(...highlightMatches(content, parsed));
+        });
+
+        updateSearchNav();
+    }
+
+    /**
+     * Wrap the query's hits inside `container` in <mark> elements, touching
+     * text nodes only so the rendered markup stays intact. A hit that spans
+     * several text nodes (e.g. across <strong>) gets one mark per node.
+     * @returns {HTMLElement[][]} the marks of each hit
+     */
+    function highlightMatches(container, parsed) {
+        // Text nodes joined by a separator, so words never fuse across blocks
+        const { nodes, text } = collectTextNodes(container, '\n');
+        const ranges = Search.findMatchRanges(text, parsed);
+        return wrapTextRanges(nodes, ranges, () => {
+            const mark = document.createElement('mark');
+            mark.className = 'search-hit';
+            return mark;
+        }).filter((marks) => marks.length > 0);
+    }
+
+    /**
+     * The text nodes of a rendered message (minus code block headers and
+     * typeset equations), with their offsets in the text made by joining
+     * them with `separator`
+     */
+    function collectTextNodes(container, separator) {
+        const walker = document.createTreeWalker(container, NodeFilter.SHOW_TEXT, {
+            acceptNode: (node) => node.parentElement.closest('.code-block-header, .katex')
+                ? NodeFilter.FILTER_REJECT
+                : NodeFilter.FILTER_ACCEPT,
+        });
+
+        const nodes = [];
+        let text = '';
+        while (walker.nextNode()) {
+            nodes.push({ node: walker.currentNode, start: text.length });
+            text += walker.currentNode.textContent + separator;
+        }
+        return { nodes, text };
+    }
+
+    /**
+     * Wrap non-overlapping [start, end) ranges of the collected text in
+     * elements from `createMark`. A range that spans several text nodes
+     * (e.g. across <strong>) gets one element per node.
+     * @returns {HTMLElement[][]} the elements of each range
+     */
+    function wrapTextRanges(nodes, ranges, createMark) {
+        const marks = ranges.map(() => []);
+
+        // Wrap from the end so the offsets of earlier ranges stay valid
+        for (let n = nodes.length - 1; n >= 0; n--) {
+            const { node, start } = nodes[n];
+            const end = start + node.textContent.length;
+
+            for (let r = ranges.length - 1; r >= 0; r--) {
+                const from = Math.max(ranges[r][0], start);
+                const to = Math.min(ranges[r][1], end);
+                if (from >= to) continue;
+
+                const target = node.splitText(from - start);
+                target.splitText(to - from);
+                const mark = createMark(r);
+                target.parentNode.replaceChild(mark, target);
+                mark.appendChild(target);
+                marks[r].unshift(mark);
+            }
+        }
+
+        return marks;
+    }
+
+    function clearSearchHighlights() {
+        chatMessages.querySelectorAll('mark.search-hit').forEach((mark) => {
+            const parent = mark.parentNode;
+            while (mark.firstChild) parent.insertBefore(mark.firstChild, mark);
+            parent.removeChild(mark);
+            parent.normalize();
+        });
+        searchMarks = [];
+        currentMark = -1;
+    }
+
+    /**
+     * Index of the first hit inside the message a snippet came from
+     */
+    function findMatchInMessage(snippet) {
+        const messages = getDisplayedMessages();
+        const position = messages.findIndex((msg, i) =>
+            snippet.nodeId ? msg.nodeId === snippet.nodeId : i === snippet.index
+        );
+        const el = chatMessages.querySelectorAll('.message')[position];
+        const found = el ? searchMarks.findIndex((marks) => el.contains(marks[0])) : -1;
+        return Math.max(found, 0);
+    }
+
+    /**
+     * Make hit `index` (wrapping around) the current one and scroll to it
+     */
+    function goToMatch(index) {
+        if (searchMarks.length === 0) return;
+
+        if (currentMark >= 0) {
+            searchMarks[currentMark].forEach((mark) => mark.classList.remove('current'));
+        }
+        currentMark = (index + searchMarks.length) % searchMarks.length;
+        searchMarks[currentMark].forEach((mark) => mark.classList.add('current'));
+        searchMarks[currentMark][0].scrollIntoView({ block: 'center' });
+        updateSearchNav();
+    }
+
+    function updateSearchNav() {
+        searchNav.classList.toggle('visible', searchMarks.length > 0);
+        matchCounter.textContent = `${currentMark + 1} / ${searchMarks.length}`;
+    }
+
     function updateStats() {
         const total = allConversations.length;
         const totalMsgs = allConversations.reduce(
@@ -177,6 +504,14 @@
         sidebarStats.textContent = `${total} chat${total !== 1 ? 's' : ''} · ${totalMsgs} messages`;
     }
 
+    function setSourceFilter(source) {
+        sourceFilter = SOURCE_LABELS[source] ? source : 'all';
+        sourceFilterBar.querySelectorAll('.source-filter-btn').forEach((btn) => {
+            btn.classList.toggle('active', btn.dataset.source === sourceFilter);
+        });
+        applyFilters();
+    }
+
     /* =============================================
        Sidebar list
        ============================================= */
@@ -194,73 +529,239 @@
                 ? conv.messages[0].content.substring(0, 80)
                 : 'No messages';
             const isActive = currentConversation && currentConversation.id === conv.id;
+            const source = conv.source || 'chatgpt';
+            const hit = searchHits.get(conv.id);
+            const flags = (conv.pinnedAt ? '<span class="conv-flag" title="Pinned">📌</span>' : '') +
+                (conv.starredAt ? '<span class="conv-flag conv-star" title="Starred">★</span>' : '');
+            const tags = (conv.tags || []).map((tag) => `<span class="conv-tag">${escapeHtml(tag)}</span>`).join('');
+            const select = selectMode
+                ? `<input type="checkbox" class="conv-select" ${selectedIds.has(conv.id) ? 'checked' : ''} tabindex="-1">`
+                : '';
 
             return `
-                <div class="conversation-item ${isActive ? 'active' : ''}" data-id="${conv.id}">
-                    <div class="conv-title">${escapeHtml(conv.title || 'Untitled')}</div>
+                <div class="conversation-item ${isActive ? 'active' : ''} ${selectedIds.has(conv.id) ? 'selected' : ''}" data-id="${conv.id}" data-source="${source}">
+                    <div class="conv-title">${select}${conv.conflict ? '<span class="conv-conflict" title="Page diverged from the archive"></span>' : ''}${flags}${escapeHtml(conv.title || 'Untitled')}</div>
                     <div class="conv-meta">
+                        <span class="conv-source">${getSourceLabel(source)}</span>
                         <span class="conv-date">${date}</span>
                         <span class="conv-count">${msgCount} msg${msgCount !== 1 ? 's' : ''}</span>
+                        ${hit ? renderHitCount(hit) : ''}
                     </div>
-                    <div class="conv-preview">${escapeHtml(preview)}</div>
+                    ${hit && hit.snippet
+                        ? renderSnippet(hit.snippet, source)
+                        : `<div class="conv-preview">${escapeHtml(preview)}</div>`}
+                    ${tags ? `<div class="conv-tags">${tags}</div>` : ''}
                 </div>
             `;
         }).join('');
 
         conversationList.querySelectorAll('.conversation-item').forEach((item) => {
-            item.addEventListener('click', () => {
+            item.addEventListener('click', (e) => {
                 const id = item.dataset.id;
                 const conv = allConversations.find((c) => c.id === id);
-                if (conv) openConversation(conv);
+                if (!conv) return;
+                // Shift / Ctrl-click start selecting, from the open chat for Shift
+                if (!selectMode && (e.shiftKey || e.ctrlKey || e.metaKey)) {
+                    const anchor = currentConversation && e.shiftKey ? currentConversation.id : null;
+                    setSelectMode(true);
+                    if (anchor) toggleSelected(anchor);
+                }
+                if (selectMode) {
+                    if (e.shiftKey && lastSelectedId) selectRange(lastSelectedId, id);
+                    else toggleSelected(id);
+                    return;
+                }
+                openConversation(conv);
+                // Opened from search results: start at the snippet's hit
+                const hit = searchHits.get(id);
+                if (hit) goToMatch(hit.snippet ? findMatchInMessage(hit.snippet) : 0);
             });
         });
     }
 
+    /**
+     * "12 hits in 3 msgs", or the matching message count for filter-only queries
+     */
+    function renderHitCount(hit) {
+        const msgs = hit.matches.length;
+        if (!hit.hitCount && !msgs) return '';
+
+        const msgText = `${msgs} msg${msgs !== 1 ? 's' : ''}`;
+        const text = hit.hitCount
+            ? `${hit.hitCount} hit${hit.hitCount !== 1 ? 's' : ''} in ${msgText}`
+            : `${msgText} matching`;
+        return `<span class="conv-matches">${text}</span>`;
+    }
+
+    /**
+     * Search snippet: the role of the message, then the passage with hits emphasized
+     */
+    function renderSnippet(snippet, source) {
+        let html = '';
+        let pos = 0;
+        snippet.highlights.forEach(([start, end]) => {
+            html += escapeHtml(snippet.text.slice(pos, start)) +
+                `<mark>${escapeHtml(snippet.text.slice(start, end))}</mark>`;
+            pos = end;
+        });
+        html += escapeHtml(snippet.text.slice(pos));
+
+        const role = snippet.role === 'user' ? 'You' : getSourceLabel(source);
+        return `<div class="conv-preview conv-snippet"><span class="conv-snippet-role">${escapeHtml(role)}:</span> ${html}</div>`;
+    }
+
     /* =============================================
        Conversation display
        ============================================= */
 
     function openConversation(conv) {
+        if (!currentConversation || currentConversation.id !== conv.id) {
+            annotations = [];
+            loadAnnotations(conv.id);
+        }
         currentConversation = conv;
+        viewingRevision = null;
+        revisionBanner.classList.remove('visible');
+        hideHighlightsView();
+        hideTrashView();
 
         emptyState.style.display = 'none';
         chatContent.style.display = 'flex';
         chatContent.classList.add('active');
 
-        chatTitle.textContent = conv.title || 'Untitled';
+        renderChatTitle(conv);
+        chatSource.textContent = getSourceLabel(conv.source);
+        chatContent.dataset.source = conv.source || 'chatgpt';
         chatDate.textContent = formatDate(conv.updatedAt || conv.savedAt);
-        chatMsgCount.textContent = `${conv.messages ? conv.messages.length : 0} messages`;
-
-        renderMessages(conv.messages || []);
+        activeLeaf = conv.mapping ? conv.currentNode : null;
+        renderActiveBranch();
+        renderConflictBanner(conv);
+        renderChatOrganization(conv);
 
         conversationList.querySelectorAll('.conversation-item').forEach((item) => {
             item.classList.toggle('active', item.dataset.id === conv.id);
         });
+
+        if (historyPanel.classList.contains('open')) loadRevisions();
+    }
+
+    /**
+     * Messages of the branch currently displayed: the stored active branch,
+     * or whichever branch the user switched to in the viewer.
+     */
+    function getDisplayedMessages() {
+        if (!currentConversation) return [];
+        if (currentConversation.mapping && activeLeaf) {
+            return Tree.getPathMessages(currentConversation.mapping, activeLeaf);
+        }
+        return currentConversation.messages || [];
+    }
+
+    function renderActiveBranch() {
+        const messages = getDisplayedMessages();
+        chatMsgCount.textContent = `${messages.length} messages`;
+        renderMessages(messages, currentConversation.source, { mapping: currentConversation.mapping });
+    }
+
+    /**
+     * Switch the branch at `nodeId` to its previous/next sibling, then follow
+     * that sibling down to the branch last seen below it.
+     */
+    function switchBranch(nodeId, direction) {
+        const mapping = currentConversation && currentConversation.mapping;
+        if (!mapping) return;
+
+        const siblings = Tree.getSiblings(mapping, nodeId);
+        const target = siblings[siblings.indexOf(nodeId) + direction];
+        if (!target) return;
+
+        const scrollTop = chatMessages.scrollTop;
+        activeLeaf = Tree.descendToLeaf(mapping, target);
+        renderActiveBranch();
+        chatMessages.scrollTop = scrollTop;
+    }
+
+    /**
+     * "< 2 / 3 >" control for a message that has sibling variants
+     */
+    function renderBranchNav(msg, mapping) {
+        if (!mapping || !msg.nodeId) return '';
+
+        const siblings = Tree.getSiblings(mapping, msg.nodeId);
+        if (siblings.length < 2) return '';
+
+        const position = siblings.indexOf(msg.nodeId) + 1;
+        const onPage = msg.variants && msg.variants.count > siblings.length
+            ? ` (${msg.variants.count} on the page, ${siblings.length} captured)`
+            : '';
+
+        return `
+            <div class="branch-nav" data-node-id="${escapeHtml(msg.nodeId)}" title="Branch ${position} of ${siblings.length}${onPage}">
+                <button class="branch-btn" data-direction="-1" ${position === 1 ? 'disabled' : ''}>‹</button>
+                <span>${position} / ${siblings.length}</span>
+                <button class="branch-btn" data-direction="1" ${position === siblings.length ? 'disabled' : ''}>›</button>
+            </div>
+        `;
     }
 
-    function renderMessages(messages) {
+    /**
+     * Render a message list. Pass `options.mapping` (the conversation tree)
+     * to show branch navigators on messages that have variants.
+     */
+    function renderMessages(messages, source, options = {}) {
+        const assistantLabel = getSourceLabel(source);
+
         chatMessages.innerHTML = messages.map((msg, index) => {
             const role = msg.role || (index % 2 === 0 ? 'user' : 'assistant');
-            const roleLabel = role === 'user' ? 'You' : 'ChatGPT';
+            const roleLabel = role === 'user' ? 'You' : assistantLabel;
 
-            // Use sanitized HTML from ChatGPT when available; fall back to markdown
+            // Use sanitized HTML from the scraper when available; fall back to markdown.
+            // Parts get panels of their own (their markdown in `content` is for
+            // search and export); Claude's parts hold the text as well.
             let content;
-            if (msg.contentHtml) {
+            if (msg.parts && msg.parts.some((part) => part.type === 'text')) {
+                content = renderMessageParts(msg.parts);
+            } else if (msg.parts && typeof msg.contentHtml === 'string') {
+                content = msg.contentHtml + renderMessageParts(msg.parts);
+            } else if (msg.contentHtml) {
                 content = msg.contentHtml;
             } else {
                 content = renderMarkdown(msg.content || '');
             }
+            content = toAssetPlaceholders(content);
 
             return `
-                <div class="message ${role}">
+                <div class="message ${role}" data-anchor="${escapeHtml(getMessageAnchor(msg, index))}" data-node-id="${escapeHtml(msg.nodeId || '')}">
                     <div class="message-inner">
                         <div class="message-role">${roleLabel}</div>
+                        ${renderAttachments(msg.attachments)}
                         <div class="message-content">${content}</div>
+                        ${renderBranchNav(msg, options.mapping)}
+                        ${renderMessageMeta(msg)}
                     </div>
                 </div>
             `;
         }).join('');
 
+        // Branch navigators
+        chatMessages.querySelectorAll('.branch-btn').forEach((btn) => {
+            btn.addEventListener('click', () => {
+                const nav = btn.closest('.branch-nav');
+                switchBranch(nav.dataset.nodeId, parseInt(btn.dataset.direction, 10));
+            });
+        });
+
+        // Deep-link buttons
+        chatMessages.querySelectorAll('.message-link-btn').forEach((btn) => {
+            btn.addEventListener('click', () => {
+                const anchor = btn.closest('.message').dataset.anchor;
+                navigator.clipboard.writeText(buildDeepLink(currentConversation.id, anchor)).then(() => {
+                    btn.textContent = 'Copied!';
+                    setTimeout(() => { btn.textContent = 'Link'; }, 1500);
+                });
+            });
+        });
+
         // Wrap bare <pre> blocks with code-block container + copy button
         chatMessages.querySelectorAll('.message-content pre').forEach((pre) => {
             // Skip if already wrapped
@@ -283,6 +784,8 @@
             wrapper.appendChild(pre);
         });
 
+        renderMath(chatMessages);
+
         // Syntax highlighting
         chatMessages.querySelectorAll('pre code').forEach((block) => {
             if (typeof hljs !== 'undefined') {
@@ -304,7 +807,322 @@
             });
         });
 
+        loadStoredAssets(chatMessages);
+
         chatMessages.scrollTop = 0;
+        applyAnnotationHighlights();
+        updateSearchHighlights();
+    }
+
+    /**
+     * A message's parts (see lib/parts.js) in
+     * order, collapsed like on the site: thinking, tool calls, code that ran
+     * with what it printed and canvas documents fold away; text, artifacts,
+     * charts and files show inline
+     */
+    function renderMessageParts(parts) {
+        let html = '';
+        let analysis = null; // open Analysis panel that output parts join
+
+        const closeAnalysis = () => {
+            if (analysis !== null) html += analysis + '</details>';
+            analysis = null;
+        };
+
+        parts.forEach((part) => {
+            if (part.type === 'output' && analysis !== null) {
+                analysis += `<div class="part-label">${escapeHtml(part.title || 'Output')}</div>${renderPartCode(part.text, 'plaintext')}`;
+                return;
+            }
+            closeAnalysis();
+
+            switch (part.type) {
+                case 'code':
+                    analysis = `<details class="message-part part-analysis"><summary>${escapeHtml(part.title || 'Analysis')}</summary>` +
+                        renderPartCode(part.text, part.language);
+                    break;
+                case 'output':
+                    html += `<details class="message-part part-analysis"><summary>${escapeHtml(part.title || 'Output')}</summary>` +
+                        `${renderPartCode(part.text, 'plaintext')}</details>`;
+                    break;
+                case 'image':
+                    html += `<div class="message-part part-image"><img src="${escapeAttribute(part.url)}" alt="${escapeAttribute(part.alt || 'image')}"></div>`;
+                    break;
+                case 'file':
+                    html += renderFilePart(part);
+                    break;
+                case 'text':
+                    html += part.html || renderMarkdown(part.text || '');
+                    break;
+                case 'thinking':
+                    html += `<details class="message-part part-thinking"><summary>${escapeHtml(part.title || 'Thinking')}</summary>` +
+                        `<div class="part-body">${part.html || renderMarkdown(part.text || '')}</div></details>`;
+                    break;
+                case 'tool':
+                    html += `<details class="message-part part-tool"><summary>${escapeHtml(part.title || 'Tool use')}</summary>` +
+                        `<div class="part-body">${renderMarkdown(part.text || '')}</div></details>`;
+                    break;
+                case 'artifact':
+                    html += renderArtifact(part);
+                    break;
+                case 'document': {
+                    let body;
+                    if (part.format === 'code') body = renderPartCode(part.text, part.language);
+                    else body = part.html || renderMarkdown(part.text || '');
+                    html += `<details class="message-part part-document"><summary><span class="part-kind">Canvas</span> ${escapeHtml(part.title || 'Document')}</summary>` +
+                        `<div class="part-body">${body}</div></details>`;
+                    break;
+                }
+                default:
+                    if (part.text) html += `<div class="message-part">${renderMarkdown(part.text)}</div>`;
+            }
+        });
+        closeAnalysis();
+
+        return html;
+    }
+
+    // Fence language of each artifact kind's source (as in content/common.js)
+    const ARTIFACT_LANGUAGES = { html: 'html', svg: 'xml', react: 'javascript', mermaid: 'plaintext' };
+
+    /**
+     * A Claude artifact: documents as text, HTML and SVG rendered in a
+     * sandboxed frame (no same-origin access; HTML may run its scripts) with
+     * the source below, anything else as code
+     */
+    function renderArtifact(part) {
+        const kind = part.kind || 'code';
+        let body;
+        if (!part.text) {
+            body = '<p class="part-missing">The contents were not saved: open the artifact on claude.ai while the chat is saved to keep them.</p>';
+        } else if (kind === 'markdown') {
+            body = renderMarkdown(part.text);
+        } else if (kind === 'html' || kind === 'svg') {
+            const sandbox = kind === 'html' ? 'allow-scripts' : '';
+            body = `<iframe class="artifact-frame" sandbox="${sandbox}" srcdoc="${escapeAttribute(part.text)}" title="${escapeAttribute(part.title || 'Artifact')}"></iframe>` +
+                `<details class="part-source"><summary>Source</summary>${renderPartCode(part.text, ARTIFACT_LANGUAGES[kind])}</details>`;
+        } else {
+            body = renderPartCode(part.text, part.language || ARTIFACT_LANGUAGES[kind]);
+        }
+
+        const label = kind === 'code' && part.language ? `Code · ${part.language}` : kind === 'code' ? 'Code' : kind;
+        return `<details class="message-part part-artifact" open><summary><span class="part-kind">${escapeHtml(label)}</span> ${escapeHtml(part.title || 'Artifact')}</summary>` +
+            `<div class="part-body">${body}</div></details>`;
+    }
+
+    function renderPartCode(text, language) {
+        return `<pre><code class="language-${escapeHtml(language || 'plaintext')}">${escapeHtml(text || '')}</code></pre>`;
+    }
+
+    function renderFilePart(part) {
+        const name = part.name || 'File';
+        const details = [part.kind, formatFileSize(part.size)].filter(Boolean).join(' · ');
+        let link;
+        if (part.url && part.url.startsWith(ChatSaverAssets.ASSET_SCHEME)) {
+            link = `<a class="attachment-link" ${toAssetAttribute('href', part.url)} download="${escapeAttribute(name)}">${escapeHtml(name)}</a>`;
+        } else if (part.url) {
+            link = `<a class="attachment-link" href="${escapeAttribute(part.url)}" target="_blank" rel="noopener noreferrer">${escapeHtml(name)}</a>`;
+        } else {
+            link = escapeHtml(name);
+        }
+        return `<div class="message-part part-file">${link}${details ? ` <span class="attachment-details">${escapeHtml(details)}</span>` : ''}</div>`;
+    }
+
+    /**
+     * Typeset the math placeholders (<span class="math-inline|math-display">
+     * holding TeX) with the bundled KaTeX. TeX it cannot parse is shown in
+     * red instead of failing the message.
+     */
+    function renderMath(container) {
+        if (typeof katex === 'undefined') return;
+        container.querySelectorAll('.message-content .math-inline, .message-content .math-display').forEach((el) => {
+            const tex = el.textContent;
+            try {
+                katex.render(tex, el, {
+                    displayMode: el.classList.contains('math-display'),
+                    throwOnError: false,
+                });
+                el.title = tex;
+            } catch (err) {
+                console.warn('Failed to render math:', err);
+            }
+        });
+    }
+
+    /* =============================================
+       Stored images and attachments
+       ============================================= */
+
+    // Object URLs of stored assets by asset id, kept while the viewer is open
+    const assetUrls = new Map();
+
+    /**
+     * Turn references to stored images into placeholders, so the browser
+     * does not try to load chatsave-asset: URLs itself
+     */
+    function toAssetPlaceholders(html) {
+        return html.replace(/\bsrc="chatsave-asset:([\w-]+)"/g, 'data-asset-id="$1"');
+    }
+
+    /**
+     * Show the stored images and link the stored attachments of rendered
+     * messages. They are read straight from IndexedDB: blobs cannot travel
+     * in runtime messages.
+     */
+    async function loadStoredAssets(container) {
+        const elements = Array.from(container.querySelectorAll('img[data-asset-id], a[data-asset-id]'));
+        const missing = Array.from(new Set(elements.map((el) => el.dataset.assetId)))
+            .filter((id) => !assetUrls.has(id));
+
+        if (missing.length > 0) {
+            try {
+                const assets = await ChatSaverDB.getAssets(missing);
+                assets.forEach((asset) => assetUrls.set(asset.id, URL.createObjectURL(asset.blob)));
+            } catch (err) {
+                console.error('Failed to load stored files:', err);
+            }
+        }
+
+        elements.forEach((el) => {
+            const url = assetUrls.get(el.dataset.assetId);
+            if (url) {
+                if (el.tagName === 'IMG') el.src = url;
+                else el.href = url;
+            } else if (el.tagName === 'IMG') {
+                el.classList.add('asset-missing');
+                el.title = 'This image is no longer stored';
+            } else {
+                el.classList.add('asset-missing');
+                el.removeAttribute('download');
+                el.title = 'This file is no longer stored';
+            }
+        });
+    }
+
+    /**
+     * Files attached to a user turn, shown above its text: a thumbnail or
+     * file-type badge, the name, type and size, a download link when the
+     * file was stored and the text preview the site showed
+     */
+    function renderAttachments(attachments) {
+        if (!attachments || attachments.length === 0) return '';
+        return `<div class="message-attachments">${attachments.map(renderAttachment).join('')}</div>`;
+    }
+
+    function renderAttachment(file) {
+        const name = file.name || 'Attachment';
+        const extension = (name.match(/\.([a-z0-9]{1,6})$/i) || [])[1];
+        const details = [file.type, formatFileSize(file.size), file.lines ? `${file.lines} lines` : '']
+            .filter(Boolean)
+            .join(' · ');
+
+        const thumbnail = file.thumbnail
+            ? `<img class="attachment-thumb" ${toAssetAttribute('src', file.thumbnail)} alt="">`
+            : `<span class="attachment-icon">${escapeHtml((extension || 'file').toUpperCase())}</span>`;
+
+        let link = '';
+        if (file.url && file.url.startsWith(ChatSaverAssets.ASSET_SCHEME)) {
+            link = `<a class="attachment-link" ${toAssetAttribute('href', file.url)} download="${escapeAttribute(name)}">Download</a>`;
+        } else if (file.url) {
+            link = `<a class="attachment-link" href="${escapeAttribute(file.url)}" target="_blank" rel="noopener noreferrer" title="Link from the site; it may have expired">Open</a>`;
+        }
+
+        const preview = file.preview
+            ? `<details class="attachment-preview"><summary>Preview</summary><pre>${escapeHtml(file.preview)}</pre></details>`
+            : '';
+
+        return `
+            <div class="attachment">
+                ${thumbnail}
+                <div class="attachment-info">
+                    <div class="attachment-name" title="${escapeAttribute(name)}">${escapeHtml(name)}</div>
+                    <div class="attachment-details">${escapeHtml(details)}${link ? ' · ' + link : ''}</div>
+                    ${preview}
+                </div>
+            </div>
+        `;
+    }
+
+    // A stored asset becomes a placeholder filled in by loadStoredAssets
+    function toAssetAttribute(attribute, value) {
+        if (value.startsWith(ChatSaverAssets.ASSET_SCHEME)) {
+            return `data-asset-id="${escapeAttribute(value.slice(ChatSaverAssets.ASSET_SCHEME.length))}"`;
+        }
+        return `${attribute}="${escapeAttribute(value)}"`;
+    }
+
+    function formatFileSize(bytes) {
+        if (!bytes) return '';
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 ** 2) return `${Math.round(bytes / 1024)} KB`;
+        return `${(bytes / 1024 ** 2).toFixed(1)} MB`;
+    }
+
+    /**
+     * Small per-message footer: model, first-seen / last-changed times and
+     * a copy-link button. Full timestamps and the message id go in the tooltip.
+     */
+    function renderMessageMeta(msg) {
+        const parts = [];
+        if (msg.model) parts.push(`<span class="message-model">${escapeHtml(msg.model)}</span>`);
+        if (msg.firstSeenAt) {
+            const edited = msg.lastChangedAt && msg.lastChangedAt !== msg.firstSeenAt;
+            parts.push(`<span>${formatDate(msg.firstSeenAt)}${edited ? ' · edited' : ''}</span>`);
+        }
+
+        const tooltip = [
+            msg.id ? `Message ID: ${msg.id}` : '',
+            msg.firstSeenAt ? `First seen: ${new Date(msg.firstSeenAt).toLocaleString()}` : '',
+            msg.lastChangedAt ? `Last changed: ${new Date(msg.lastChangedAt).toLocaleString()}` : '',
+        ].filter(Boolean).join('\n');
+
+        return `
+            <div class="message-meta" title="${escapeHtml(tooltip)}">
+                ${parts.join('')}
+                <button class="message-link-btn" title="Copy link to this message">Link</button>
+            </div>
+        `;
+    }
+
+    /**
+     * Anchor used in deep links: the stable message id when the scraper
+     * captured one, otherwise the message position.
+     */
+    function getMessageAnchor(msg, index) {
+        return msg.id || `n${index}`;
+    }
+
+    function buildDeepLink(conversationId, anchor) {
+        const url = new URL(window.location.href);
+        url.search = `?id=${encodeURIComponent(conversationId)}`;
+        url.hash = anchor ? `msg-${encodeURIComponent(anchor)}` : '';
+        return url.toString();
+    }
+
+    function scrollToMessage(anchor) {
+        const target = Array.from(chatMessages.querySelectorAll('.message'))
+            .find((el) => el.dataset.anchor === anchor);
+        if (!target) return;
+
+        target.scrollIntoView({ block: 'start' });
+        target.classList.add('flash');
+        setTimeout(() => target.classList.remove('flash'), 1600);
+    }
+
+    /**
+     * Open the conversation / message named in the viewer URL
+     * (?id=<conversation id>#msg-<message anchor>)
+     */
+    function openFromLocation() {
+        const id = new URLSearchParams(window.location.search).get('id');
+        if (!id) return;
+
+        const conv = allConversations.find((c) => c.id === id);
+        if (!conv) return;
+        openConversation(conv);
+
+        const hash = window.location.hash.match(/^#msg-(.+)$/);
+        if (hash) scrollToMessage(decodeURIComponent(hash[1]));
     }
 
     /* =============================================
@@ -328,7 +1146,21 @@
             return `\x00IC_${idx}\x00`;
         });
 
-        // 3. Block-level parse
+        // 3. Extract math: $$…$$ and \[…\] display, $…$ and \(…\) inline.
+        // A $ needs TeX right against it on both sides, so prices stay text.
+        const maths = [];
+        const addMath = (tex, display) => {
+            const idx = maths.length;
+            maths.push({ tex: tex.trim(), display });
+            return `\x00MA_${idx}\x00`;
+        };
+        text = text
+            .replace(/\$\$([\s\S]+?)\$\$/g, (_, tex) => addMath(tex, true))
+            .replace(/\\\[([\s\S]+?)\\\]/g, (_, tex) => addMath(tex, true))
+            .replace(/\\\((.+?)\\\)/g, (_, tex) => addMath(tex, false))
+            .replace(/(?<![\\$\w])\$(?=\S)([^$\n]+?)(?<=\S)\$(?![\w$])/g, (_, tex) => addMath(tex, false));
+
+        // 4. Block-level parse
         const lines = text.split('\n');
         const blocks = [];
         let i = 0;
@@ -402,7 +1234,10 @@
             }
         }
 
-        return blocks.join('\n');
+        return blocks.join('\n').replace(/\x00MA_(\d+)\x00/g, (_, idx) => {
+            const math = maths[parseInt(idx)];
+            return `<span class="${math.display ? 'math-display' : 'math-inline'}">${escapeHtml(math.tex)}</span>`;
+        });
     }
 
     /**
@@ -489,11 +1324,20 @@
         return match ? match[1].length : 0;
     }
 
+    // Image sources the viewer renders: web images, inline image data and stored assets
+    const IMAGE_SOURCE_PATTERN = /^(https?:|data:image\/|chatsave-asset:)/i;
+
     /**
-     * Inline formatting: bold, italic, code, links
+     * Inline formatting: bold, italic, code, images, links
      */
     function inlineFormat(text, inlineCodes) {
-        let html = escapeHtml(text);
+        // Images become placeholders first, so their alt text and URL are
+        // escaped once, for an attribute
+        const images = [];
+        let html = escapeHtml(text.replace(/!\[([^\]]*)\]\(([^)\s]+)\)/g, (_, alt, src) => {
+            images.push({ alt, src });
+            return `\x00IMG_${images.length - 1}\x00`;
+        }));
 
         // Restore inline code placeholders
         html = html.replace(/\x00IC_(\d+)\x00/g, (_, idx) => {
@@ -507,6 +1351,13 @@
         // Links
         html = html.replace(/\[([^\]]+)\]\(([^)]+)\)/g, '<a href="$2" target="_blank" rel="noopener">$1</a>');
 
+        // Restore image placeholders; other sources show their alt text
+        html = html.replace(/\x00IMG_(\d+)\x00/g, (_, idx) => {
+            const { alt, src } = images[parseInt(idx)];
+            if (!IMAGE_SOURCE_PATTERN.test(src)) return escapeHtml(alt);
+            return `<img src="${escapeAttribute(src)}" alt="${escapeAttribute(alt)}">`;
+        });
+
         // Arrows (→)
         html = html.replace(/→/g, '→');
 
@@ -517,63 +1368,1498 @@
     }
 
     /* =============================================
-       Actions
+       Merge conflicts
        ============================================= */
 
-    function clearCurrentConversation() {
-        currentConversation = null;
-        emptyState.style.display = 'flex';
-        chatContent.style.display = 'none';
-        chatContent.classList.remove('active');
-        conversationList.querySelectorAll('.conversation-item').forEach((el) => {
-            el.classList.remove('active');
-        });
-    }
-
-    function exportConversation() {
-        if (!currentConversation) return;
-
-        let md = `# ${currentConversation.title || 'Untitled'}\n\n`;
-        md += `**Date:** ${formatDate(currentConversation.updatedAt || currentConversation.savedAt)}\n\n---\n\n`;
-
-        (currentConversation.messages || []).forEach((msg) => {
-            const role = msg.role === 'user' ? 'You' : 'ChatGPT';
-            md += `### ${role}\n\n${msg.content || ''}\n\n`;
-        });
+    function renderConflictBanner(conv) {
+        if (!conv.conflict) {
+            conflictBanner.classList.remove('visible');
+            return;
+        }
 
-        const blob = new Blob([md], { type: 'text/markdown' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `${(currentConversation.title || 'conversation').replace(/[<>:"/\\|?*]/g, '_')}.md`;
-        a.click();
-        URL.revokeObjectURL(url);
+        const when = new Date(conv.conflict.detectedAt).toLocaleString();
+        conflictBannerText.textContent =
+            `The page diverged from this archive on ${when}. The earlier messages are kept as another branch and in the revision history.`;
+        conflictBanner.classList.add('visible');
     }
 
-    async function deleteCurrentConversation() {
+    async function dismissConflict() {
         if (!currentConversation) return;
-        if (!confirm('Delete this conversation? This cannot be undone.')) return;
 
         try {
-            await removeConversation(currentConversation.id);
-            clearCurrentConversation();
-            await loadConversations({ preserveSelection: false });
+            const response = await sendMessage('CLEAR_CONFLICT', { id: currentConversation.id });
+            const updated = response.conversation;
+            if (!updated) return;
+
+            const idx = allConversations.findIndex((c) => c.id === updated.id);
+            if (idx !== -1) allConversations[idx] = updated;
+            currentConversation = updated;
+            renderConflictBanner(updated);
+            applyFilters();
         } catch (err) {
-            console.error('Failed to delete:', err);
-            alert('Failed to delete conversation');
+            console.error('Failed to dismiss conflict:', err);
         }
     }
 
     /* =============================================
-       Utilities
+       Organization: folders, tags, pins, stars
        ============================================= */
 
-    function formatDate(dateStr) {
-        if (!dateStr) return 'Unknown';
-        const date = new Date(dateStr);
-        const now = new Date();
-        const diff = now - date;
-        const minutes = Math.floor(diff / 60000);
+    async function loadFolders() {
+        try {
+            folders = await fetchFolders();
+        } catch (err) {
+            console.error('Failed to load folders:', err);
+            folders = [];
+        }
+        if (folderFilter !== 'all' && folderFilter !== 'unfiled' && !findFolder(folderFilter)) {
+            folderFilter = 'all';
+        }
+        renderFolderOptions();
+        applyFilters();
+    }
+
+    function findFolder(id) {
+        return id ? folders.find((folder) => folder.id === id) || null : null;
+    }
+
+    /**
+     * A folder's id plus the ids of every folder nested below it
+     */
+    function getFolderAndDescendants(id) {
+        const ids = new Set([id]);
+        let grew = true;
+        while (grew) {
+            grew = false;
+            folders.forEach((folder) => {
+                if (ids.has(folder.parentId) && !ids.has(folder.id)) {
+                    ids.add(folder.id);
+                    grew = true;
+                }
+            });
+        }
+        return ids;
+    }
+
+    /**
+     * <option>s for every folder, nested ones indented under their parent
+     */
+    function renderFolderTreeOptions() {
+        const children = new Map();
+        folders.forEach((folder) => {
+            const parent = findFolder(folder.parentId) ? folder.parentId : null;
+            if (!children.has(parent)) children.set(parent, []);
+            children.get(parent).push(folder);
+        });
+
+        const options = [];
+        const walk = (parentId, depth) => {
+            (children.get(parentId) || []).forEach((folder) => {
+                const indent = '\u00a0\u00a0'.repeat(depth);
+                options.push(`<option value="${escapeHtml(folder.id)}">${indent}${escapeHtml(folder.name)}</option>`);
+                walk(folder.id, depth + 1);
+            });
+        };
+        walk(null, 0);
+        return options.join('');
+    }
+
+    function renderFolderOptions() {
+        const tree = renderFolderTreeOptions();
+
+        folderFilterSelect.innerHTML = '<option value="all">All folders</option><option value="unfiled">No folder</option>' + tree;
+        folderFilterSelect.value = folderFilter;
+        bulkFolderSelect.innerHTML = '<option value="">Move to…</option><option value="none">No folder</option>' + tree;
+        chatFolderSelect.innerHTML = '<option value="">No folder</option>' + tree;
+        if (currentConversation) chatFolderSelect.value = findFolder(currentConversation.folderId) ? currentConversation.folderId : '';
+
+        const isFolder = !!findFolder(folderFilter);
+        renameFolderBtn.disabled = !isFolder;
+        deleteFolderBtn.disabled = !isFolder;
+    }
+
+    function renderTagOptions() {
+        const counts = new Map();
+        allConversations.forEach((conv) => {
+            (conv.tags || []).forEach((tag) => counts.set(tag, (counts.get(tag) || 0) + 1));
+        });
+        if (tagFilter && !counts.has(tagFilter)) tagFilter = '';
+
+        tagFilterSelect.innerHTML = '<option value="">All tags</option>' +
+            Array.from(counts.keys()).sort().map((tag) =>
+                `<option value="${escapeHtml(tag)}">${escapeHtml(tag)} (${counts.get(tag)})</option>`
+            ).join('');
+        tagFilterSelect.value = tagFilter;
+    }
+
+    /**
+     * Pin / star state, tags and folder of the open chat in its header
+     */
+    function renderChatOrganization(conv) {
+        pinBtn.classList.toggle('active', !!conv.pinnedAt);
+        pinBtn.title = conv.pinnedAt ? 'Unpin' : 'Pin to top';
+        starBtn.classList.toggle('active', !!conv.starredAt);
+        starBtn.title = conv.starredAt ? 'Unstar' : 'Star';
+        chatTags.innerHTML = (conv.tags || []).map((tag) => `<span class="conv-tag">${escapeHtml(tag)}</span>`).join('');
+        chatFolderSelect.value = findFolder(conv.folderId) ? conv.folderId : '';
+    }
+
+    /**
+     * Send organization changes for some chats and fold the updated records
+     * back into the list
+     */
+    async function updateConversations(ids, changes) {
+        if (ids.length === 0) return;
+
+        try {
+            const response = await sendMessage('UPDATE_CONVERSATIONS', { ids, changes });
+            replaceConversations(response.conversations || []);
+            renderTagOptions();
+            applyFilters();
+        } catch (err) {
+            console.error('Failed to update conversations:', err);
+            alert(`Failed to update: ${err.message}`);
+        }
+    }
+
+    /**
+     * Swap updated records into the list and the open chat's header
+     */
+    function replaceConversations(conversations) {
+        conversations.forEach((updated) => {
+            const idx = allConversations.findIndex((c) => c.id === updated.id);
+            if (idx !== -1) allConversations[idx] = updated;
+            if (currentConversation && currentConversation.id === updated.id) {
+                currentConversation = updated;
+                renderChatTitle(updated);
+                renderChatOrganization(updated);
+            }
+        });
+    }
+
+    /**
+     * Header title; a renamed chat shows the page's own title on hover
+     */
+    function renderChatTitle(conv) {
+        chatTitle.textContent = conv.title || 'Untitled';
+        chatTitle.title = conv.userTitle
+            ? `Renamed. Title on ${getSourceLabel(conv.source)}: ${conv.scrapedTitle || 'Untitled'}`
+            : '';
+    }
+
+    /**
+     * Give the open chat a title of its own; saves from the page no longer
+     * change what it is called. An empty title goes back to the page's.
+     */
+    async function renameCurrentConversation() {
+        if (!currentConversation) return;
+        const title = prompt(
+            'Rename chat (leave empty to use the title from the page):',
+            currentConversation.userTitle || currentConversation.title || ''
+        );
+        if (title === null || title.trim() === (currentConversation.userTitle || '')) return;
+
+        try {
+            const response = await sendMessage('RENAME_CONVERSATION', { id: currentConversation.id, title });
+            if (response.conversation) replaceConversations([response.conversation]);
+            if (searchQuery.trim()) await runSearch();
+            else applyFilters();
+        } catch (err) {
+            console.error('Failed to rename:', err);
+            alert(`Failed to rename: ${err.message}`);
+        }
+    }
+
+    /**
+     * "rust, work, -old" → { addTags: ['rust', 'work'], removeTags: ['old'] }
+     */
+    function parseTagInput(input) {
+        const changes = { addTags: [], removeTags: [] };
+        String(input || '').split(',').map((tag) => tag.trim()).filter(Boolean).forEach((tag) => {
+            if (tag.startsWith('-')) changes.removeTags.push(tag.slice(1));
+            else changes.addTags.push(tag);
+        });
+        return changes;
+    }
+
+    function editCurrentTags() {
+        if (!currentConversation) return;
+        const input = prompt('Tags (comma-separated):', (currentConversation.tags || []).join(', '));
+        if (input === null) return;
+        updateConversations([currentConversation.id], {
+            tags: input.split(',').map((tag) => tag.trim()).filter(Boolean),
+        });
+    }
+
+    async function createFolder() {
+        const name = prompt('New folder name:');
+        if (!name || !name.trim()) return;
+
+        try {
+            const parentId = findFolder(folderFilter) ? folderFilter : null;
+            await sendMessage('SAVE_FOLDER', { folder: { name, parentId } });
+            await loadFolders();
+        } catch (err) {
+            console.error('Failed to create folder:', err);
+            alert(`Failed to create folder: ${err.message}`);
+        }
+    }
+
+    async function renameFolder() {
+        const folder = findFolder(folderFilter);
+        if (!folder) return;
+        const name = prompt('Rename folder:', folder.name);
+        if (!name || !name.trim() || name === folder.name) return;
+
+        try {
+            await sendMessage('SAVE_FOLDER', { folder: { id: folder.id, name } });
+            await loadFolders();
+        } catch (err) {
+            console.error('Failed to rename folder:', err);
+            alert(`Failed to rename folder: ${err.message}`);
+        }
+    }
+
+    async function deleteFolder() {
+        const folder = findFolder(folderFilter);
+        if (!folder) return;
+        if (!confirm(`Delete folder "${folder.name}"? Its chats and subfolders move up one level.`)) return;
+
+        try {
+            await sendMessage('DELETE_FOLDER', { id: folder.id });
+            folderFilter = folder.parentId || 'all';
+            await loadFolders();
+            await loadConversations();
+        } catch (err) {
+            console.error('Failed to delete folder:', err);
+            alert(`Failed to delete folder: ${err.message}`);
+        }
+    }
+
+    /* ── Multi-select ── */
+
+    function setSelectMode(enabled) {
+        selectMode = enabled;
+        selectedIds = new Set();
+        lastSelectedId = null;
+        selectModeBtn.classList.toggle('active', enabled);
+        selectModeBtn.textContent = enabled ? 'Done' : 'Select';
+        bulkBar.classList.toggle('visible', enabled);
+        updateBulkCount();
+        renderConversationList();
+    }
+
+    function toggleSelected(id) {
+        if (selectedIds.has(id)) selectedIds.delete(id);
+        else selectedIds.add(id);
+        lastSelectedId = id;
+        renderSelection();
+    }
+
+    /**
+     * Shift-click: select every listed chat between the last one clicked
+     * and this one
+     */
+    function selectRange(fromId, toId) {
+        const ids = filteredConversations.map((conv) => conv.id);
+        const from = ids.indexOf(fromId);
+        const to = ids.indexOf(toId);
+        if (from === -1 || to === -1) {
+            toggleSelected(toId);
+            return;
+        }
+
+        ids.slice(Math.min(from, to), Math.max(from, to) + 1).forEach((id) => selectedIds.add(id));
+        lastSelectedId = toId;
+        renderSelection();
+    }
+
+    /**
+     * Select every chat the current filters and search show, or clear the
+     * selection when they are all selected already
+     */
+    function toggleSelectAll() {
+        const ids = filteredConversations.map((conv) => conv.id);
+        const all = ids.length > 0 && ids.every((id) => selectedIds.has(id));
+        ids.forEach((id) => (all ? selectedIds.delete(id) : selectedIds.add(id)));
+        renderSelection();
+    }
+
+    function renderSelection() {
+        conversationList.querySelectorAll('.conversation-item').forEach((item) => {
+            const selected = selectedIds.has(item.dataset.id);
+            item.classList.toggle('selected', selected);
+            const checkbox = item.querySelector('.conv-select');
+            if (checkbox) checkbox.checked = selected;
+        });
+        updateBulkCount();
+    }
+
+    function updateBulkCount() {
+        bulkCount.textContent = `${selectedIds.size} selected`;
+    }
+
+    /**
+     * Move every selected chat to the trash in one go
+     */
+    async function bulkDelete() {
+        const ids = Array.from(selectedIds);
+        if (ids.length === 0) return;
+
+        if (await deleteConversations(ids)) {
+            selectedIds = new Set();
+            lastSelectedId = null;
+            updateBulkCount();
+        }
+    }
+
+    /**
+     * Download the selected chats as a zip: one Markdown file each, or a
+     * Chatsave backup of just them (conversations.json, which Import reads)
+     */
+    async function bulkExport() {
+        const format = bulkExportSelect.value;
+        bulkExportSelect.value = '';
+        const ids = Array.from(selectedIds);
+        if (!format || ids.length === 0) return;
+
+        try {
+            let files;
+            if (format === 'json') {
+                const archive = await ChatSaverDB.exportArchive(ids);
+                files = [{ name: 'conversations.json', data: new Uint8Array(await archiveToBlob(archive).arrayBuffer()) }];
+            } else {
+                const used = new Set();
+                files = ids
+                    .map((id) => allConversations.find((c) => c.id === id))
+                    .filter(Boolean)
+                    .map((conv) => ({
+                        name: uniqueFileName(toFileName(conv.title || 'conversation'), '.md', used),
+                        data: conversationToMarkdown(conv, conv.messages || []),
+                        date: new Date(conv.updatedAt || conv.savedAt || Date.now()),
+                    }));
+                files.push(...await bundleStoredAssets(files));
+            }
+
+            const zip = await ChatSaverZip.createZip(files);
+            const stamp = new Date().toISOString().slice(0, 10);
+            downloadBlob(new Blob([zip], { type: 'application/zip' }), `chatsave-${format}-${stamp}.zip`);
+        } catch (err) {
+            console.error('Failed to export:', err);
+            alert(`Failed to export: ${err.message}`);
+        }
+    }
+
+    /**
+     * Stored images and attachments the Markdown files reference, as zip
+     * entries under images/ and files/; the files' references are pointed
+     * at them
+     */
+    async function bundleStoredAssets(files) {
+        const ids = ChatSaverAssets.getAssetRefs(files.map((file) => file.data).join('\n'));
+        if (ids.length === 0) return [];
+
+        const paths = new Map();
+        const entries = [];
+        for (const asset of await ChatSaverDB.getAssets(ids)) {
+            const folder = (asset.type || '').startsWith('image/') ? 'images' : 'files';
+            const path = `${folder}/${asset.id}${ChatSaverAssets.getAssetExtension(asset.type)}`;
+            paths.set(asset.id, path);
+            entries.push({ name: path, data: new Uint8Array(await asset.blob.arrayBuffer()) });
+        }
+
+        files.forEach((file) => {
+            file.data = ChatSaverAssets.replaceAssetRefs(file.data, (id) => paths.get(id));
+        });
+        return entries;
+    }
+
+    function bulkMove() {
+        const value = bulkFolderSelect.value;
+        bulkFolderSelect.value = '';
+        if (!value) return;
+        updateConversations(Array.from(selectedIds), { folderId: value === 'none' ? null : value });
+    }
+
+    function bulkTag() {
+        if (selectedIds.size === 0) return;
+        const input = prompt('Add tags to the selected chats (comma-separated; prefix with - to remove):');
+        if (!input) return;
+        updateConversations(Array.from(selectedIds), parseTagInput(input));
+    }
+
+    /* =============================================
+       Annotations: highlights and notes
+       ============================================= */
+
+    async function loadAnnotations(conversationId) {
+        try {
+            const result = await fetchAnnotations(conversationId);
+            // Ignore responses for a conversation that is no longer open
+            if (!currentConversation || currentConversation.id !== conversationId) return;
+            annotations = result;
+            refreshAnnotationHighlights();
+        } catch (err) {
+            console.error('Failed to load annotations:', err);
+        }
+    }
+
+    /**
+     * Mark the highlights of the displayed messages. Each is found again by
+     * its quote and context (see locateAnchor); the ones that cannot be
+     * placed stay listed in the notes panel.
+     */
+    function applyAnnotationHighlights() {
+        placedAnnotations = new Set();
+        if (!currentConversation || viewingRevision) return;
+
+        chatMessages.querySelectorAll('.message').forEach((el) => {
+            const nodeId = el.dataset.nodeId;
+            const content = el.querySelector('.message-content');
+            const own = annotations.filter((ann) => ann.type === 'highlight' && ann.nodeId === nodeId);
+            if (!nodeId || !content || own.length === 0) return;
+
+            const { nodes, text } = collectTextNodes(content, '');
+            const located = own
+                .map((ann) => ({ ann, start: locateAnchor(text, ann) }))
+                .filter((entry) => entry.start !== -1)
+                .sort((a, b) => a.start - b.start);
+
+            // Overlapping highlights: the later one starts where the earlier ends
+            const ranges = [];
+            const placed = [];
+            let end = 0;
+            located.forEach(({ ann, start }) => {
+                const from = Math.max(start, end);
+                const to = start + ann.quote.length;
+                placedAnnotations.add(ann.id);
+                if (from >= to) return;
+                ranges.push([from, to]);
+                placed.push(ann);
+                end = to;
+            });
+
+            wrapTextRanges(nodes, ranges, (r) => {
+                const mark = document.createElement('mark');
+                mark.className = 'user-highlight';
+                mark.dataset.annotationId = placed[r].id;
+                if (placed[r].note) mark.title = placed[r].note;
+                return mark;
+            });
+        });
+    }
+
+    function clearAnnotationHighlights() {
+        chatMessages.querySelectorAll('mark.user-highlight').forEach((mark) => {
+            const parent = mark.parentNode;
+            while (mark.firstChild) parent.insertBefore(mark.firstChild, mark);
+            parent.removeChild(mark);
+            parent.normalize();
+        });
+    }
+
+    /**
+     * Re-mark highlights in place after annotations change, keeping the
+     * scroll position and the current search hit
+     */
+    function refreshAnnotationHighlights() {
+        const current = currentMark;
+        clearSearchHighlights();
+        clearAnnotationHighlights();
+        applyAnnotationHighlights();
+        updateSearchHighlights();
+
+        if (current >= 0 && current < searchMarks.length) {
+            currentMark = current;
+            searchMarks[current].forEach((mark) => mark.classList.add('current'));
+            updateSearchNav();
+        }
+        if (notesPanel.classList.contains('open')) renderNotesList();
+    }
+
+    /**
+     * Where a highlight's quote starts in the message text now, or -1.
+     * The saved offset wins if the quote is still there; otherwise the
+     * occurrence whose surroundings best match the saved context, nearest
+     * to the old offset on a tie.
+     */
+    function locateAnchor(text, ann) {
+        const { quote } = ann;
+        if (!quote) return -1;
+        if (text.substr(ann.start, quote.length) === quote) return ann.start;
+
+        let best = -1;
+        let bestScore = -1;
+        for (let i = text.indexOf(quote); i !== -1; i = text.indexOf(quote, i + 1)) {
+            const before = text.slice(Math.max(0, i - ANCHOR_CONTEXT), i);
+            const after = text.slice(i + quote.length, i + quote.length + ANCHOR_CONTEXT);
+            const score = commonSuffixLength(before, ann.prefix || '') + commonPrefixLength(after, ann.suffix || '');
+            const closer = best !== -1 && Math.abs(i - ann.start) < Math.abs(best - ann.start);
+            if (score > bestScore || (score === bestScore && closer)) {
+                best = i;
+                bestScore = score;
+            }
+        }
+        return best;
+    }
+
+    function commonPrefixLength(a, b) {
+        let n = 0;
+        while (n < a.length && n < b.length && a[n] === b[n]) n++;
+        return n;
+    }
+
+    function commonSuffixLength(a, b) {
+        let n = 0;
+        while (n < a.length && n < b.length && a[a.length - 1 - n] === b[b.length - 1 - n]) n++;
+        return n;
+    }
+
+    /**
+     * Anchor for the current selection, when it lies inside one message of
+     * the live conversation: { nodeId, quote, prefix, suffix, start }
+     */
+    function getSelectionAnchor() {
+        const selection = window.getSelection();
+        if (!currentConversation || viewingRevision || !selection || selection.isCollapsed) return null;
+
+        const range = selection.getRangeAt(0);
+        const startEl = range.startContainer.nodeType === Node.ELEMENT_NODE
+            ? range.startContainer
+            : range.startContainer.parentElement;
+        const content = startEl && startEl.closest('.message-content');
+        if (!content || !chatMessages.contains(content) || !content.contains(range.endContainer)) return null;
+
+        const nodeId = content.closest('.message').dataset.nodeId;
+        if (!nodeId) return null;
+
+        const { nodes, text } = collectTextNodes(content, '');
+        const offsetOf = (container, offset) => {
+            const entry = nodes.find((n) => n.node === container);
+            if (entry) return entry.start + offset;
+
+            // Element boundary: the first text node at or after it
+            const point = document.createRange();
+            point.setStart(container, offset);
+            const next = nodes.find((n) => point.comparePoint(n.node, 0) >= 0);
+            return next ? next.start : text.length;
+        };
+
+        let start = offsetOf(range.startContainer, range.startOffset);
+        let end = offsetOf(range.endContainer, range.endOffset);
+        // Leave surrounding whitespace out of the highlight
+        while (start < end && /\s/.test(text[start])) start++;
+        while (end > start && /\s/.test(text[end - 1])) end--;
+        if (start >= end) return null;
+
+        return {
+            nodeId,
+            quote: text.slice(start, end),
+            prefix: text.slice(Math.max(0, start - ANCHOR_CONTEXT), start),
+            suffix: text.slice(end, end + ANCHOR_CONTEXT),
+            start,
+        };
+    }
+
+    /**
+     * Offer the "Highlight" button next to a fresh selection in a message
+     */
+    function updateHighlightPopover() {
+        pendingHighlight = getSelectionAnchor();
+        if (!pendingHighlight) {
+            hideHighlightPopover();
+            return;
+        }
+
+        const rect = window.getSelection().getRangeAt(0).getBoundingClientRect();
+        highlightPopover.style.top = `${Math.max(rect.top - 36, 8)}px`;
+        highlightPopover.style.left = `${Math.max(rect.left + rect.width / 2 - 40, 8)}px`;
+        highlightPopover.classList.add('visible');
+    }
+
+    function hideHighlightPopover() {
+        pendingHighlight = null;
+        highlightPopover.classList.remove('visible');
+    }
+
+    async function createHighlight() {
+        const anchor = pendingHighlight;
+        hideHighlightPopover();
+        if (!anchor || !currentConversation) return;
+
+        const note = prompt('Note for this highlight (optional):', '');
+        if (note === null) return;
+
+        await saveAnnotation({ conversationId: currentConversation.id, ...anchor, note });
+        window.getSelection().removeAllRanges();
+    }
+
+    async function addConversationNote() {
+        if (!currentConversation) return;
+        const note = prompt('Note on this conversation:');
+        if (!note || !note.trim()) return;
+        await saveAnnotation({ conversationId: currentConversation.id, note });
+    }
+
+    async function editAnnotation(id) {
+        const ann = annotations.find((a) => a.id === id);
+        if (!ann) return;
+        const note = prompt(ann.type === 'note' ? 'Edit note:' : 'Note for this highlight:', ann.note || '');
+        if (note === null || note === (ann.note || '')) return;
+        if (ann.type === 'note' && !note.trim()) {
+            removeAnnotation(id);
+            return;
+        }
+        await saveAnnotation({ id, note });
+    }
+
+    /**
+     * Create or update an annotation and fold the result into `annotations`
+     */
+    async function saveAnnotation(annotation) {
+        try {
+            const response = await sendMessage('SAVE_ANNOTATION', { annotation });
+            const saved = response.annotation;
+            if (!currentConversation || saved.conversationId !== currentConversation.id) return;
+
+            const idx = annotations.findIndex((a) => a.id === saved.id);
+            if (idx !== -1) annotations[idx] = saved;
+            else annotations.push(saved);
+            refreshAnnotationHighlights();
+        } catch (err) {
+            console.error('Failed to save annotation:', err);
+            alert(`Failed to save: ${err.message}`);
+        }
+    }
+
+    async function removeAnnotation(id) {
+        if (!confirm('Delete this annotation?')) return;
+
+        try {
+            await sendMessage('DELETE_ANNOTATION', { id });
+            annotations = annotations.filter((a) => a.id !== id);
+            refreshAnnotationHighlights();
+        } catch (err) {
+            console.error('Failed to delete annotation:', err);
+            alert(`Failed to delete: ${err.message}`);
+        }
+    }
+
+    /**
+     * Scroll to a highlight, switching to the branch that holds its message
+     * if another one is displayed
+     */
+    function goToAnnotation(id) {
+        const ann = annotations.find((a) => a.id === id);
+        if (!ann || ann.type !== 'highlight' || !currentConversation) return;
+
+        if (viewingRevision) exitRevisionView();
+        const mapping = currentConversation.mapping;
+        const onBranch = getDisplayedMessages().some((msg) => msg.nodeId === ann.nodeId);
+        if (!onBranch && mapping && mapping[ann.nodeId]) {
+            activeLeaf = Tree.descendToLeaf(mapping, ann.nodeId);
+            renderActiveBranch();
+        }
+
+        const mark = Array.from(chatMessages.querySelectorAll('mark.user-highlight'))
+            .find((el) => el.dataset.annotationId === id);
+        const target = mark || Array.from(chatMessages.querySelectorAll('.message'))
+            .find((el) => el.dataset.nodeId === ann.nodeId);
+        if (!target) return;
+
+        target.scrollIntoView({ block: 'center' });
+        const message = target.closest('.message');
+        message.classList.add('flash');
+        setTimeout(() => message.classList.remove('flash'), 1600);
+    }
+
+    function toggleNotes() {
+        const opening = !notesPanel.classList.contains('open');
+        if (opening) hideHistory();
+        notesPanel.classList.toggle('open', opening);
+        notesBtn.classList.toggle('active', opening);
+        if (opening) renderNotesList();
+    }
+
+    function hideNotes() {
+        notesPanel.classList.remove('open');
+        notesBtn.classList.remove('active');
+    }
+
+    /**
+     * Notes panel: conversation notes first, then highlights in message order
+     */
+    function renderNotesList() {
+        if (annotations.length === 0) {
+            notesList.innerHTML = '<div class="no-conversations">Select text in a message to highlight it, or add a note</div>';
+            return;
+        }
+
+        const order = new Map(getDisplayedMessages().map((msg, i) => [msg.nodeId, i]));
+        const position = (ann) => (ann.type === 'note' ? -1 : order.has(ann.nodeId) ? order.get(ann.nodeId) : Infinity);
+        const sorted = annotations.slice().sort((a, b) =>
+            position(a) - position(b) || (a.start || 0) - (b.start || 0)
+        );
+
+        notesList.innerHTML = sorted.map((ann) => {
+            let status = '';
+            if (ann.type === 'highlight' && !placedAnnotations.has(ann.id)) {
+                status = order.has(ann.nodeId) ? 'Text no longer found in the message' : 'On another branch';
+            }
+            return renderAnnotationItem(ann, { status, actions: true });
+        }).join('');
+    }
+
+    function renderAnnotationItem(ann, options = {}) {
+        const edited = ann.updatedAt && ann.updatedAt !== ann.createdAt ? ' · edited' : '';
+        const actions = options.actions ? `
+            <div class="revision-actions">
+                ${ann.type === 'highlight' ? '<button class="text-btn" data-action="go">Go to</button>' : ''}
+                <button class="text-btn" data-action="edit">${ann.type === 'highlight' && !ann.note ? 'Add note' : 'Edit'}</button>
+                <button class="text-btn" data-action="delete">Delete</button>
+            </div>
+        ` : '';
+
+        return `
+            <div class="annotation-item ${ann.type}" data-id="${escapeHtml(ann.id)}" data-conversation-id="${escapeHtml(ann.conversationId)}">
+                ${ann.type === 'highlight' ? `<blockquote class="annotation-quote">${escapeHtml(ann.quote)}</blockquote>` : ''}
+                ${ann.note ? `<div class="annotation-note">${escapeHtml(ann.note)}</div>` : ''}
+                <div class="revision-meta">
+                    ${formatDate(ann.createdAt)}${edited}
+                    ${options.status ? `<span class="annotation-status">${escapeHtml(options.status)}</span>` : ''}
+                </div>
+                ${actions}
+            </div>
+        `;
+    }
+
+    /* ── All highlights ── */
+
+    async function showHighlightsView() {
+        clearCurrentConversation();
+        emptyState.style.display = 'none';
+        highlightsView.classList.add('visible');
+        highlightsBtn.classList.add('active');
+        highlightsList.innerHTML = '<div class="no-conversations">Loading…</div>';
+
+        try {
+            renderHighlightsView(await fetchAnnotations());
+        } catch (err) {
+            console.error('Failed to load highlights:', err);
+            highlightsList.innerHTML = '<div class="no-conversations">Failed to load highlights</div>';
+        }
+    }
+
+    function hideHighlightsView() {
+        highlightsView.classList.remove('visible');
+        highlightsBtn.classList.remove('active');
+    }
+
+    /**
+     * Every annotation, grouped by conversation, most recently annotated first
+     */
+    function renderHighlightsView(all) {
+        highlightsCount.textContent = `${all.length} annotation${all.length !== 1 ? 's' : ''}`;
+        if (all.length === 0) {
+            highlightsList.innerHTML = '<div class="no-conversations">No highlights or notes yet</div>';
+            return;
+        }
+
+        const groups = new Map();
+        all.slice().reverse().forEach((ann) => {
+            if (!groups.has(ann.conversationId)) groups.set(ann.conversationId, []);
+            groups.get(ann.conversationId).push(ann);
+        });
+
+        highlightsList.innerHTML = Array.from(groups, ([conversationId, items]) => {
+            const conv = allConversations.find((c) => c.id === conversationId);
+            return `
+                <section class="highlights-group" data-source="${escapeHtml((conv && conv.source) || 'chatgpt')}">
+                    <h2 class="highlights-group-title">
+                        <span class="conv-source">${getSourceLabel(conv && conv.source)}</span>
+                        ${escapeHtml(conv ? conv.title || 'Untitled' : 'Conversation not loaded')}
+                    </h2>
+                    ${items.map((ann) => renderAnnotationItem(ann)).join('')}
+                </section>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Open the conversation of an annotation picked in the All highlights view
+     */
+    async function openAnnotation(conversationId, id) {
+        const conv = allConversations.find((c) => c.id === conversationId);
+        if (!conv) return;
+
+        openConversation(conv);
+        await loadAnnotations(conversationId);
+        goToAnnotation(id);
+    }
+
+    /* ── Trash ── */
+
+    async function showTrashView() {
+        clearCurrentConversation();
+        emptyState.style.display = 'none';
+        trashView.classList.add('visible');
+        trashBtn.classList.add('active');
+        trashList.innerHTML = '<div class="no-conversations">Loading…</div>';
+        await loadTrash();
+    }
+
+    function hideTrashView() {
+        trashView.classList.remove('visible');
+        trashBtn.classList.remove('active');
+    }
+
+    async function loadTrash() {
+        try {
+            const [trashResponse, ignoredResponse] = await Promise.all([
+                sendMessage('GET_TRASH'),
+                sendMessage('GET_IGNORED'),
+            ]);
+            trashEntries = trashResponse.trash || [];
+            trashRetentionSelect.value = String(trashResponse.retentionDays);
+            renderTrashView(trashEntries, ignoredResponse.ignored || [], trashResponse.retentionDays);
+        } catch (err) {
+            console.error('Failed to load trash:', err);
+            trashList.innerHTML = '<div class="no-conversations">Failed to load the trash</div>';
+        }
+    }
+
+    /**
+     * Deleted chats, newest first, then the ones that are never saved again
+     */
+    function renderTrashView(trash, ignored, retentionDays) {
+        trashCount.textContent = `${trash.length} chat${trash.length !== 1 ? 's' : ''}`;
+        emptyTrashBtn.disabled = trash.length === 0;
+
+        let html = trash.length === 0
+            ? '<div class="no-conversations">The trash is empty</div>'
+            : trash.map((entry) => renderTrashItem(entry, retentionDays)).join('');
+
+        if (ignored.length > 0) {
+            html += '<h2 class="trash-section-title">Never saved again</h2>';
+            html += ignored.map(renderIgnoredItem).join('');
+        }
+
+        trashList.innerHTML = html;
+    }
+
+    function renderTrashItem(entry, retentionDays) {
+        let purge = '';
+        if (retentionDays > 0) {
+            const left = new Date(entry.deletedAt).getTime() + retentionDays * 86400000 - Date.now();
+            const days = Math.max(1, Math.ceil(left / 86400000));
+            purge = ` · deleted for good in ${days} day${days !== 1 ? 's' : ''}`;
+        }
+
+        return `
+            <div class="trash-item" data-id="${escapeHtml(entry.id)}" data-title="${escapeHtml(entry.title || 'Untitled')}" data-source="${escapeHtml(entry.source || 'chatgpt')}">
+                <div class="trash-item-title">
+                    <span class="conv-source">${getSourceLabel(entry.source)}</span>
+                    ${escapeHtml(entry.title || 'Untitled')}
+                </div>
+                <div class="revision-meta">
+                    ${formatDate(entry.deletedAt)} · ${entry.messageCount} message${entry.messageCount !== 1 ? 's' : ''}${purge}
+                </div>
+                <div class="revision-actions">
+                    <button class="text-btn" data-action="restore">Restore</button>
+                    <button class="text-btn danger" data-action="purge">Delete forever</button>
+                    <button class="text-btn" data-action="ignore" title="Delete forever and stop saving this chat">Never save again</button>
+                </div>
+            </div>
+        `;
+    }
+
+    function renderIgnoredItem(tombstone) {
+        return `
+            <div class="trash-item" data-id="${escapeHtml(tombstone.id)}" data-source="${escapeHtml(tombstone.source || 'chatgpt')}">
+                <div class="trash-item-title">
+                    <span class="conv-source">${getSourceLabel(tombstone.source)}</span>
+                    ${escapeHtml(tombstone.title || tombstone.url || tombstone.id)}
+                </div>
+                <div class="revision-meta">${formatDate(tombstone.ignoredAt)}</div>
+                <div class="revision-actions">
+                    <button class="text-btn" data-action="unignore" title="Save this chat again the next time it is open">Allow saving</button>
+                </div>
+            </div>
+        `;
+    }
+
+    async function handleTrashAction(action, id, name) {
+        try {
+            if (action === 'restore') {
+                await sendMessage('RESTORE_CONVERSATIONS', { ids: [id] });
+                await loadConversations({ preserveSelection: false });
+            } else if (action === 'purge') {
+                if (!confirm(`Delete "${name}" for good? This cannot be undone.`)) return;
+                await sendMessage('PURGE_CONVERSATIONS', { ids: [id] });
+            } else if (action === 'ignore') {
+                if (!confirm(`Delete "${name}" for good and never save it again?`)) return;
+                await sendMessage('IGNORE_CONVERSATIONS', { ids: [id] });
+            } else if (action === 'unignore') {
+                await sendMessage('UNIGNORE_CONVERSATIONS', { ids: [id] });
+            }
+            await loadTrash();
+        } catch (err) {
+            console.error('Trash action failed:', err);
+            alert(`Failed: ${err.message}`);
+        }
+    }
+
+    async function emptyTrash() {
+        const count = trashEntries.length;
+        if (count === 0) return;
+        if (!confirm(`Delete ${count} chat${count !== 1 ? 's' : ''} in the trash for good? This cannot be undone.`)) return;
+
+        try {
+            await sendMessage('EMPTY_TRASH');
+            await loadTrash();
+        } catch (err) {
+            console.error('Failed to empty trash:', err);
+            alert(`Failed to empty trash: ${err.message}`);
+        }
+    }
+
+    async function setTrashRetention() {
+        try {
+            await sendMessage('SET_TRASH_RETENTION', { days: parseInt(trashRetentionSelect.value, 10) });
+            await loadTrash();
+        } catch (err) {
+            console.error('Failed to set retention:', err);
+            alert(`Failed to set retention: ${err.message}`);
+        }
+    }
+
+    /* =============================================
+       Revision history
+       ============================================= */
+
+    function toggleHistory() {
+        const opening = !historyPanel.classList.contains('open');
+        if (opening) hideNotes();
+        historyPanel.classList.toggle('open', opening);
+        historyBtn.classList.toggle('active', opening);
+        if (opening) loadRevisions();
+    }
+
+    function hideHistory() {
+        historyPanel.classList.remove('open');
+        historyBtn.classList.remove('active');
+    }
+
+    async function loadRevisions() {
+        if (!currentConversation) return;
+        const conversationId = currentConversation.id;
+
+        try {
+            const result = await fetchRevisions(conversationId);
+            // Ignore responses for a conversation that is no longer open
+            if (!currentConversation || currentConversation.id !== conversationId) return;
+            revisions = result;
+            renderRevisionList();
+        } catch (err) {
+            console.error('Failed to load revisions:', err);
+            historyList.innerHTML = '<div class="no-conversations">Failed to load revisions</div>';
+        }
+    }
+
+    function renderRevisionList() {
+        if (revisions.length === 0) {
+            historyList.innerHTML = '<div class="no-conversations">No revisions recorded yet</div>';
+            return;
+        }
+
+        historyList.innerHTML = revisions.map((rev) => {
+            const isCurrent = currentConversation && rev.hash === currentConversation.contentHash;
+            const isViewing = viewingRevision && viewingRevision.id === rev.id;
+            const count = rev.messageCount || 0;
+
+            return `
+                <div class="revision-item ${isViewing ? 'active' : ''}" data-id="${escapeHtml(rev.id)}">
+                    <div class="revision-date" title="${escapeHtml(new Date(rev.createdAt).toLocaleString())}">
+                        ${formatDate(rev.createdAt)}
+                        ${isCurrent ? '<span class="revision-current">Current</span>' : ''}
+                    </div>
+                    <div class="revision-meta">${count} message${count !== 1 ? 's' : ''}</div>
+                    <div class="revision-actions">
+                        <button class="text-btn" data-action="view">View</button>
+                        ${isCurrent ? '' : '<button class="text-btn" data-action="diff">Diff</button>'}
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    async function showRevision(id, mode) {
+        try {
+            const revision = await fetchRevision(id);
+            if (!revision || !currentConversation || revision.conversationId !== currentConversation.id) return;
+
+            viewingRevision = revision;
+            const when = new Date(revision.createdAt).toLocaleString();
+
+            if (mode === 'diff') {
+                revisionBannerText.textContent = `Changes from revision of ${when} to current version`;
+                renderDiff(revision.messages || [], currentConversation.messages || []);
+            } else {
+                revisionBannerText.textContent = `Viewing revision of ${when} · ${revision.messageCount || 0} messages`;
+                renderMessages(revision.messages || [], currentConversation.source);
+            }
+
+            restoreRevisionBtn.style.display = revision.hash === currentConversation.contentHash ? 'none' : '';
+            revisionBanner.classList.add('visible');
+            renderRevisionList();
+        } catch (err) {
+            console.error('Failed to load revision:', err);
+            alert('Failed to load revision');
+        }
+    }
+
+    function exitRevisionView() {
+        if (!currentConversation) return;
+        viewingRevision = null;
+        revisionBanner.classList.remove('visible');
+        renderActiveBranch();
+        renderRevisionList();
+    }
+
+    async function restoreViewedRevision() {
+        if (!viewingRevision) return;
+
+        try {
+            const response = await sendMessage('RESTORE_REVISION', { id: viewingRevision.id });
+            const restored = response.conversation;
+            if (!restored) return;
+
+            const idx = allConversations.findIndex((c) => c.id === restored.id);
+            if (idx !== -1) allConversations[idx] = restored;
+            applyFilters();
+            updateStats();
+            openConversation(restored);
+        } catch (err) {
+            console.error('Failed to restore revision:', err);
+            alert('Failed to restore revision');
+        }
+    }
+
+    /**
+     * Render a message-level diff between two message lists. Messages are
+     * aligned with an LCS over role + content; a removal followed by an
+     * addition of the same role is shown as one changed message with a
+     * line-level diff.
+     */
+    function renderDiff(oldMessages, newMessages) {
+        const key = (m) => (m.role || '') + '\u0000' + (m.content || '');
+        const ops = diffSequences(oldMessages.map(key), newMessages.map(key));
+        const assistantLabel = getSourceLabel(currentConversation.source);
+        const blocks = [];
+
+        for (let i = 0; i < ops.length; i++) {
+            const op = ops[i];
+            const next = ops[i + 1];
+
+            if (op.type === 'removed' && next && next.type === 'added' &&
+                oldMessages[op.a].role === newMessages[next.b].role) {
+                const oldLines = (oldMessages[op.a].content || '').split('\n');
+                const newLines = (newMessages[next.b].content || '').split('\n');
+                const body = diffSequences(oldLines, newLines).map((l) => {
+                    const text = l.type === 'removed' ? oldLines[l.a] : newLines[l.b];
+                    return `<div class="diff-line ${l.type}">${escapeHtml(text) || '&nbsp;'}</div>`;
+                }).join('');
+                blocks.push(renderDiffMessage('changed', newMessages[next.b].role, body, assistantLabel));
+                i++;
+                continue;
+            }
+
+            const msg = op.type === 'removed' ? oldMessages[op.a] : newMessages[op.b];
+            blocks.push(renderDiffMessage(
+                op.type, msg.role, `<div class="diff-text">${escapeHtml(msg.content || '')}</div>`, assistantLabel
+            ));
+        }
+
+        chatMessages.innerHTML = blocks.join('') ||
+            '<div class="no-conversations">No differences</div>';
+        chatMessages.scrollTop = 0;
+        updateSearchHighlights();
+    }
+
+    function renderDiffMessage(type, role, body, assistantLabel) {
+        const label = role === 'user' ? 'You' : assistantLabel;
+        const tag = type === 'equal' ? '' : `<span class="diff-tag">${type}</span>`;
+        return `
+            <div class="diff-message ${type}">
+                <div class="message-role">${label}${tag}</div>
+                ${body}
+            </div>
+        `;
+    }
+
+    /**
+     * Longest-common-subsequence diff of two arrays of comparable values.
+     * Returns [{ type: 'equal' | 'removed' | 'added', a?, b? }] in order.
+     */
+    function diffSequences(a, b) {
+        const n = a.length;
+        const m = b.length;
+        const lcs = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+
+        for (let i = n - 1; i >= 0; i--) {
+            for (let j = m - 1; j >= 0; j--) {
+                lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+            }
+        }
+
+        const ops = [];
+        let i = 0;
+        let j = 0;
+        while (i < n && j < m) {
+            if (a[i] === b[j]) {
+                ops.push({ type: 'equal', a: i++, b: j++ });
+            } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+                ops.push({ type: 'removed', a: i++ });
+            } else {
+                ops.push({ type: 'added', b: j++ });
+            }
+        }
+        while (i < n) ops.push({ type: 'removed', a: i++ });
+        while (j < m) ops.push({ type: 'added', b: j++ });
+
+        return ops;
+    }
+
+    /* =============================================
+       Actions
+       ============================================= */
+
+    function clearCurrentConversation() {
+        currentConversation = null;
+        viewingRevision = null;
+        annotations = [];
+        hideNotes();
+        hideHighlightPopover();
+        hideHighlightsView();
+        hideTrashView();
+        revisionBanner.classList.remove('visible');
+        conflictBanner.classList.remove('visible');
+        hideHistory();
+        emptyState.style.display = 'flex';
+        chatContent.style.display = 'none';
+        chatContent.classList.remove('active');
+        conversationList.querySelectorAll('.conversation-item').forEach((el) => {
+            el.classList.remove('active');
+        });
+    }
+
+    function exportConversation() {
+        if (!currentConversation) return;
+
+        downloadBlob(
+            new Blob([conversationToMarkdown(currentConversation, getDisplayedMessages())], { type: 'text/markdown' }),
+            `${toFileName(currentConversation.title || 'conversation')}.md`
+        );
+    }
+
+    function conversationToMarkdown(conv, messages) {
+        const assistantLabel = getSourceLabel(conv.source);
+
+        let md = `# ${conv.title || 'Untitled'}\n\n`;
+        md += `**Source:** ${assistantLabel}\n\n`;
+        md += `**Date:** ${formatDate(conv.updatedAt || conv.savedAt)}\n\n---\n\n`;
+
+        messages.forEach((msg) => {
+            const role = msg.role === 'user' ? 'You' : assistantLabel;
+            md += `### ${role}\n\n`;
+            (msg.attachments || []).forEach((file) => {
+                const details = [file.type, formatFileSize(file.size)].filter(Boolean).join(', ');
+                const name = file.url ? `[${file.name}](${file.url})` : file.name;
+                md += `- Attachment: ${name}${details ? ` (${details})` : ''}\n`;
+            });
+            if (msg.attachments && msg.attachments.length > 0) md += '\n';
+            md += `${msg.content || ''}\n\n`;
+        });
+
+        return md;
+    }
+
+    function toFileName(title) {
+        return title.replace(/[<>:"/\\|?*]/g, '_');
+    }
+
+    /**
+     * "name.md", then "name (2).md", ... for names already in `used`
+     */
+    function uniqueFileName(base, extension, used) {
+        let name = base + extension;
+        for (let n = 2; used.has(name.toLowerCase()); n++) name = `${base} (${n})${extension}`;
+        used.add(name.toLowerCase());
+        return name;
+    }
+
+    function downloadBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        a.click();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Download the whole archive as a versioned JSON bundle. It is read
+     * straight from the database: a backup with years of chats and their
+     * images is far too big for one extension message.
+     */
+    async function exportAll() {
+        try {
+            const archive = await ChatSaverDB.exportArchive();
+            const stamp = new Date().toISOString().slice(0, 10);
+            downloadBlob(archiveToBlob(archive), `chatsave-archive-${stamp}.json`);
+        } catch (err) {
+            console.error('Failed to export archive:', err);
+            alert('Failed to export archive');
+        }
+    }
+
+    /**
+     * An archive bundle as a JSON file, written one list entry at a time so
+     * a large archive never has to fit in a single string
+     */
+    function archiveToBlob(archive) {
+        const chunks = ['{'];
+        Object.keys(archive).forEach((key, i) => {
+            chunks.push((i > 0 ? ',' : '') + JSON.stringify(key) + ':');
+            const value = archive[key];
+            if (!Array.isArray(value)) {
+                chunks.push(JSON.stringify(value));
+                return;
+            }
+            chunks.push('[');
+            value.forEach((item, j) => chunks.push((j > 0 ? ',' : '') + JSON.stringify(item)));
+            chunks.push(']');
+        });
+        chunks.push('}');
+        return new Blob(chunks, { type: 'application/json' });
+    }
+
+    /**
+     * Import a Chatsave backup, or a ChatGPT / Claude export (zip or conversations.json)
+     */
+    async function importFile(file) {
+        if (!file) return;
+
+        try {
+            const data = await ChatSaverImporters.readImportFile(file);
+            const bundle = ChatSaverImporters.toArchiveBundle(data, { renderMarkdown: renderImportedMarkdown });
+            const report = await importBundle(sanitizeArchiveHtml(bundle));
+
+            await loadConversations();
+            alert(
+                `Import finished: ${report.added.length} added, ` +
+                `${report.updated.length} updated, ${report.skipped.length} skipped.`
+            );
+        } catch (err) {
+            console.error('Failed to import archive:', err);
+            alert(`Import failed: ${err.message}`);
+        } finally {
+            importInput.value = '';
+        }
+    }
+
+    /**
+     * An archive bundle with the HTML of its messages and their parts
+     * sanitized again. A backup file is untrusted input, and the viewer
+     * renders that HTML as it is.
+     */
+    function sanitizeArchiveHtml(bundle) {
+        const sanitize = (html) => (typeof html === 'string' ? ChatSaverCommon.sanitizeHTML(html) : undefined);
+        const cleanMessage = (msg) => {
+            if (!msg || typeof msg !== 'object') return msg;
+            const result = { ...msg };
+            if ('contentHtml' in msg) result.contentHtml = sanitize(msg.contentHtml);
+            if (Array.isArray(msg.parts)) {
+                result.parts = msg.parts.map((part) =>
+                    (part && typeof part === 'object' && 'html' in part ? { ...part, html: sanitize(part.html) } : part)
+                );
+            }
+            return result;
+        };
+        const cleanMessages = (record) => {
+            if (!record || typeof record !== 'object') return record;
+            const result = { ...record };
+            if (Array.isArray(record.messages)) result.messages = record.messages.map(cleanMessage);
+            if (record.mapping && typeof record.mapping === 'object') {
+                result.mapping = {};
+                Object.keys(record.mapping).forEach((id) => {
+                    const node = record.mapping[id];
+                    result.mapping[id] = node && typeof node === 'object' ? { ...node, message: cleanMessage(node.message) } : node;
+                });
+            }
+            return result;
+        };
+
+        const result = { ...bundle };
+        if (Array.isArray(bundle.conversations)) result.conversations = bundle.conversations.map(cleanMessages);
+        if (Array.isArray(bundle.revisions)) result.revisions = bundle.revisions.map(cleanMessages);
+        return result;
+    }
+
+    /**
+     * Markdown from an export → the { text, html } pair a content script
+     * would have scraped from the rendered page
+     */
+    function renderImportedMarkdown(markdown) {
+        const html = ChatSaverCommon.sanitizeHTML(renderMarkdown(markdown), {
+            removeSelector: '.code-block-header',
+        });
+        const container = document.createElement('div');
+        container.innerHTML = html;
+
+        return { text: ChatSaverCommon.extractTextContent(container).trim(), html };
+    }
+
+    /**
+     * Send an archive bundle to the background in batches, so years of
+     * history stay under the extension messaging size limit
+     */
+    async function importBundle(bundle) {
+        const report = { added: [], updated: [], skipped: [] };
+        const conversations = Array.isArray(bundle.conversations) ? bundle.conversations : [];
+        const revisions = Array.isArray(bundle.revisions) ? bundle.revisions : [];
+        const annotations = Array.isArray(bundle.annotations) ? bundle.annotations : [];
+        const assets = Array.isArray(bundle.assets) ? bundle.assets : [];
+        const empty = { ...bundle, conversations: [], revisions: [], folders: [], annotations: [], assets: [] };
+        const batches = [];
+
+        // Annotations travel with the batch holding their conversation
+        for (let i = 0; i < conversations.length; i += IMPORT_BATCH_SIZE) {
+            const batch = conversations.slice(i, i + IMPORT_BATCH_SIZE);
+            const ids = new Set(batch.map((conv) => conv && conv.id));
+            batches.push({
+                ...empty,
+                conversations: batch,
+                annotations: annotations.filter((ann) => ann && ids.has(ann.conversationId)),
+            });
+        }
+        for (let i = 0; i < revisions.length; i += IMPORT_BATCH_SIZE) {
+            batches.push({ ...empty, revisions: revisions.slice(i, i + IMPORT_BATCH_SIZE) });
+        }
+        // Folders go once, with the first batch
+        if (batches.length === 0) batches.push({ ...bundle, assets: [] });
+        else batches[0].folders = bundle.folders;
+
+        // Images and files last, in batches of their own by size, so the
+        // chats that use them are in when they arrive
+        let assetBatch = null;
+        let assetChars = 0;
+        assets.forEach((asset) => {
+            const chars = asset && typeof asset.data === 'string' ? asset.data.length : 0;
+            if (!assetBatch || (assetBatch.assets.length > 0 && assetChars + chars > IMPORT_ASSET_BATCH_CHARS)) {
+                assetBatch = { ...empty, assets: [] };
+                assetChars = 0;
+                batches.push(assetBatch);
+            }
+            assetBatch.assets.push(asset);
+            assetChars += chars;
+        });
+
+        for (const archive of batches) {
+            const response = await sendMessage('IMPORT_ARCHIVE', { archive });
+            report.added.push(...response.report.added);
+            report.updated.push(...response.report.updated);
+            report.skipped.push(...response.report.skipped);
+        }
+
+        return report;
+    }
+
+    async function deleteCurrentConversation() {
+        if (!currentConversation) return;
+        await deleteConversations([currentConversation.id]);
+    }
+
+    /**
+     * Move chats to the trash, with a few seconds to undo
+     * @returns {Promise<boolean>} whether they were moved
+     */
+    async function deleteConversations(ids) {
+        try {
+            const trashed = await trashConversations(ids);
+            if (currentConversation && ids.includes(currentConversation.id)) clearCurrentConversation();
+            await loadConversations({ preserveSelection: false });
+            showUndoToast(trashed);
+            return true;
+        } catch (err) {
+            console.error('Failed to delete:', err);
+            alert(`Failed to delete: ${err.message}`);
+            return false;
+        }
+    }
+
+    function showUndoToast(ids) {
+        if (ids.length === 0) return;
+        undoIds = ids;
+        undoToastText.textContent = ids.length === 1 ? 'Moved to trash' : `${ids.length} chats moved to trash`;
+        undoToast.classList.add('visible');
+        clearTimeout(undoTimer);
+        undoTimer = setTimeout(hideUndoToast, UNDO_TOAST_MS);
+    }
+
+    function hideUndoToast() {
+        clearTimeout(undoTimer);
+        undoToast.classList.remove('visible');
+        undoIds = [];
+    }
+
+    async function undoDelete() {
+        const ids = undoIds;
+        hideUndoToast();
+        if (ids.length === 0) return;
+
+        try {
+            await sendMessage('RESTORE_CONVERSATIONS', { ids });
+            await loadConversations({ preserveSelection: false });
+            if (trashView.classList.contains('visible')) await loadTrash();
+
+            // Undoing the delete of one chat opens it again
+            const restored = ids.length === 1 && allConversations.find((c) => c.id === ids[0]);
+            if (restored && !trashView.classList.contains('visible')) openConversation(restored);
+        } catch (err) {
+            console.error('Failed to restore:', err);
+            alert(`Failed to restore: ${err.message}`);
+        }
+    }
+
+    /**
+     * From the toast: delete the chats just trashed for good and stop the
+     * content scripts from saving them again
+     */
+    async function ignoreDeleted() {
+        const ids = undoIds;
+        hideUndoToast();
+        if (ids.length === 0) return;
+
+        try {
+            await sendMessage('IGNORE_CONVERSATIONS', { ids });
+            if (trashView.classList.contains('visible')) await loadTrash();
+        } catch (err) {
+            console.error('Failed to ignore:', err);
+            alert(`Failed to ignore: ${err.message}`);
+        }
+    }
+
+    /* =============================================
+       Utilities
+       ============================================= */
+
+    function formatDate(dateStr) {
+        if (!dateStr) return 'Unknown';
+        const date = new Date(dateStr);
+        const now = new Date();
+        const diff = now - date;
+        const minutes = Math.floor(diff / 60000);
         const hours = Math.floor(diff / 3600000);
         const days = Math.floor(diff / 86400000);
 
@@ -589,25 +2875,172 @@
         });
     }
 
+    /**
+     * Display name for a conversation source. Records saved before
+     * multi-source support have no `source` and are ChatGPT chats.
+     */
+    function getSourceLabel(source) {
+        return SOURCE_LABELS[source || 'chatgpt'] || source;
+    }
+
     function escapeHtml(text) {
         const div = document.createElement('div');
         div.textContent = text;
         return div.innerHTML;
     }
 
+    // escapeHtml leaves quotes alone, which attribute values need escaped
+    function escapeAttribute(text) {
+        return escapeHtml(text).replace(/"/g, '&quot;');
+    }
+
     /* =============================================
        Init
        ============================================= */
 
     function init() {
         initTheme();
-        loadConversations();
+
+        const initialSource = new URLSearchParams(window.location.search).get('source');
+        if (initialSource) setSourceFilter(initialSource);
+
+        loadFolders();
+        loadConversations().then(openFromLocation);
+        window.addEventListener('hashchange', openFromLocation);
 
         // Event listeners
         searchInput.addEventListener('input', (e) => {
             searchQuery = e.target.value;
+            clearTimeout(searchTimer);
+            searchTimer = setTimeout(
+                () => runSearch({ jumpToMatch: true }),
+                searchQuery.trim() ? SEARCH_DELAY_MS : 0
+            );
+        });
+
+        // Enter / Shift+Enter step through the hits of the open chat
+        searchInput.addEventListener('keydown', (e) => {
+            if (e.key !== 'Enter' || searchMarks.length === 0) return;
+            e.preventDefault();
+            goToMatch(currentMark + (e.shiftKey ? -1 : 1));
+        });
+        prevMatchBtn.addEventListener('click', () => goToMatch(currentMark - 1));
+        nextMatchBtn.addEventListener('click', () => goToMatch(currentMark + 1));
+
+        sourceFilterBar.addEventListener('click', (e) => {
+            const btn = e.target.closest('.source-filter-btn');
+            if (btn) setSourceFilter(btn.dataset.source);
+        });
+
+        // Organization
+        folderFilterSelect.addEventListener('change', () => {
+            folderFilter = folderFilterSelect.value;
+            renderFolderOptions();
+            applyFilters();
+        });
+        tagFilterSelect.addEventListener('change', () => {
+            tagFilter = tagFilterSelect.value;
+            applyFilters();
+        });
+        starredFilterBtn.addEventListener('click', () => {
+            starredOnly = !starredOnly;
+            starredFilterBtn.classList.toggle('active', starredOnly);
             applyFilters();
         });
+        newFolderBtn.addEventListener('click', createFolder);
+        renameFolderBtn.addEventListener('click', renameFolder);
+        deleteFolderBtn.addEventListener('click', deleteFolder);
+        selectModeBtn.addEventListener('click', () => setSelectMode(!selectMode));
+        bulkFolderSelect.addEventListener('change', bulkMove);
+        bulkTagBtn.addEventListener('click', bulkTag);
+        bulkPinBtn.addEventListener('click', () => updateConversations(Array.from(selectedIds), { pinned: true }));
+        bulkUnpinBtn.addEventListener('click', () => updateConversations(Array.from(selectedIds), { pinned: false }));
+        bulkSelectAllBtn.addEventListener('click', toggleSelectAll);
+        bulkExportSelect.addEventListener('change', bulkExport);
+        bulkDeleteBtn.addEventListener('click', bulkDelete);
+        pinBtn.addEventListener('click', () => {
+            if (currentConversation) updateConversations([currentConversation.id], { pinned: !currentConversation.pinnedAt });
+        });
+        starBtn.addEventListener('click', () => {
+            if (currentConversation) updateConversations([currentConversation.id], { starred: !currentConversation.starredAt });
+        });
+        tagBtn.addEventListener('click', editCurrentTags);
+        renameBtn.addEventListener('click', renameCurrentConversation);
+        chatTitle.addEventListener('dblclick', renameCurrentConversation);
+        chatFolderSelect.addEventListener('change', () => {
+            if (currentConversation) updateConversations([currentConversation.id], { folderId: chatFolderSelect.value || null });
+        });
+
+        historyBtn.addEventListener('click', toggleHistory);
+        conflictHistoryBtn.addEventListener('click', () => {
+            if (!historyPanel.classList.contains('open')) toggleHistory();
+        });
+        dismissConflictBtn.addEventListener('click', dismissConflict);
+        closeHistory.addEventListener('click', hideHistory);
+        restoreRevisionBtn.addEventListener('click', restoreViewedRevision);
+        exitRevisionBtn.addEventListener('click', exitRevisionView);
+        historyList.addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-action]');
+            const item = e.target.closest('.revision-item');
+            if (btn && item) showRevision(item.dataset.id, btn.dataset.action);
+        });
+
+        // Annotations
+        chatMessages.addEventListener('mouseup', () => setTimeout(updateHighlightPopover, 0));
+        chatMessages.addEventListener('scroll', hideHighlightPopover);
+        chatMessages.addEventListener('click', (e) => {
+            const mark = e.target.closest('mark.user-highlight');
+            if (!mark || !window.getSelection().isCollapsed) return;
+            if (!notesPanel.classList.contains('open')) toggleNotes();
+            const item = Array.from(notesList.querySelectorAll('.annotation-item'))
+                .find((el) => el.dataset.id === mark.dataset.annotationId);
+            if (item) {
+                item.scrollIntoView({ block: 'nearest' });
+                item.classList.add('flash');
+                setTimeout(() => item.classList.remove('flash'), 1600);
+            }
+        });
+        // Keep the selection when the popover is pressed
+        highlightPopover.addEventListener('mousedown', (e) => e.preventDefault());
+        highlightPopover.addEventListener('click', createHighlight);
+        notesBtn.addEventListener('click', toggleNotes);
+        closeNotes.addEventListener('click', hideNotes);
+        addNoteBtn.addEventListener('click', addConversationNote);
+        notesList.addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-action]');
+            const item = e.target.closest('.annotation-item');
+            if (!btn || !item) return;
+            if (btn.dataset.action === 'go') goToAnnotation(item.dataset.id);
+            if (btn.dataset.action === 'edit') editAnnotation(item.dataset.id);
+            if (btn.dataset.action === 'delete') removeAnnotation(item.dataset.id);
+        });
+        highlightsBtn.addEventListener('click', () => {
+            if (highlightsView.classList.contains('visible')) clearCurrentConversation();
+            else showHighlightsView();
+        });
+        closeHighlights.addEventListener('click', clearCurrentConversation);
+        trashBtn.addEventListener('click', () => {
+            if (trashView.classList.contains('visible')) clearCurrentConversation();
+            else showTrashView();
+        });
+        closeTrash.addEventListener('click', clearCurrentConversation);
+        emptyTrashBtn.addEventListener('click', emptyTrash);
+        trashRetentionSelect.addEventListener('change', setTrashRetention);
+        trashList.addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-action]');
+            const item = e.target.closest('.trash-item');
+            if (btn && item) handleTrashAction(btn.dataset.action, item.dataset.id, item.dataset.title);
+        });
+        undoBtn.addEventListener('click', undoDelete);
+        ignoreBtn.addEventListener('click', ignoreDeleted);
+        highlightsList.addEventListener('click', (e) => {
+            const item = e.target.closest('.annotation-item');
+            if (item) openAnnotation(item.dataset.conversationId, item.dataset.id);
+        });
+
+        exportAllBtn.addEventListener('click', exportAll);
+        importBtn.addEventListener('click', () => importInput.click());
+        importInput.addEventListener('change', () => importFile(importInput.files[0]));
 
         themeToggle.addEventListener('click', toggleTheme);
         exportBtn.addEventListener('click', exportConversation);